@@ -0,0 +1,293 @@
+// Capture quality audit: the checks done by hand before trusting a capture
+// (paused capture, coarse timer, alt-tab spikes, duplicated rows, loading
+// section, wrong length), run on every imported dataset. Findings are kept
+// in meta.audit and summarised by a badge in #datasetList.
+
+const AUDIT_MIN_FRAMES      = 50;    // fewer frames: too little to judge
+const AUDIT_GAP_MIN_MS      = 200;   // a timestamp gap is at least this long…
+const AUDIT_GAP_FACTOR      = 10;    // …and this many median frame times
+const AUDIT_SPIKE_MIN_MS    = 500;   // a huge frame is at least this long…
+const AUDIT_SPIKE_FACTOR    = 20;    // …and this many median frame times
+const AUDIT_QUANT_STEPS     = [1, 0.5];
+const AUDIT_QUANT_SHARE     = 0.95;  // share of frame times on a step to call it quantized
+const AUDIT_WARMUP_WINDOW   = 60;    // frames that must look steady after the loading section
+const AUDIT_DURATION_SLACK  = 0.1;   // allowed deviation from the expected duration
+const AUDIT_ROW_REFERENCES  = 8;     // row numbers listed per finding
+const AUDIT_STORED_ROWS     = 100;   // row indices kept per finding in meta.audit
+const AUDIT_WARMUP_SCAN     = 20000; // frames searched for the end of a loading section
+
+// Row arrays → the audit made of them; rows replaced by cleaning or a
+// restore are audited again
+const auditCache = new WeakMap();
+
+const AUDIT_GRADES = {
+  good: { label: 'OK',    title: 'No quality issues found' },
+  fair: { label: 'Check', title: 'Minor quality notes' },
+  poor: { label: 'Poor',  title: 'Quality warnings' }
+};
+
+/**
+ * Median of the finite values.
+ * @param {number[]} values
+ * @returns {number}
+ */
+function auditMedian(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  return sorted.length ? calculatePercentile(sorted, 50) : NaN; // from statsManager.js
+}
+
+/**
+ * "rows 12, 40, 41 … (+25 more)" – 1-based, like the Raw Data view.
+ * @param {number[]} indices - 0-based row indices
+ * @returns {string}
+ */
+function formatRowReferences(indices) {
+  const shown = indices.slice(0, AUDIT_ROW_REFERENCES).map(i => i + 1).join(', ');
+  const more  = indices.length > AUDIT_ROW_REFERENCES ? ` … (+${indices.length - AUDIT_ROW_REFERENCES} more)` : '';
+  return `row${indices.length === 1 ? '' : 's'} ${shown}${more}`;
+}
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} whether both rows have the same columns and values
+ */
+function isDuplicateRow(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => Object.is(a[k], b[k]));
+}
+
+/**
+ * Index of the first frame after a leading loading / warm-up section, or 0
+ * when the capture is steady from the start. Steady means the next
+ * AUDIT_WARMUP_WINDOW frames have a median close to the capture's and no
+ * frame above four times that.
+ * @param {number[]} frameTimes
+ * @param {number} median
+ * @returns {number}
+ */
+function findWarmupEnd(frameTimes, median) {
+  const limit = Math.min(Math.floor(frameTimes.length / 2), AUDIT_WARMUP_SCAN);
+  for (let i = 0; i <= limit; i++) {
+    const win = frameTimes.slice(i, i + AUDIT_WARMUP_WINDOW);
+    const m   = auditMedian(win);
+    if (m >= median / 1.5 && m <= median * 1.5 && win.every(v => !(v > median * 4))) return i;
+  }
+  return 0;
+}
+
+/**
+ * Runs every check on a dataset and stores the result in ds.meta.audit.
+ * Each issue has an id, a severity ('warning' or 'info'), a message, the
+ * rows concerned and optionally a fix (see applyAuditFix()).
+ * @param {Object} ds
+ * @param {{expectedDuration?:number}} [options] - seconds; 0 = not checked
+ * @returns {{grade:string, rows:number, issues:Object[], expectedDuration?:number}}
+ */
+function auditDataset(ds, { expectedDuration = 0 } = {}) {
+  const rows   = ds.rows;
+  const issues = [];
+  const ft     = rows.map(r => getMetricValue(r, 'FrameTime')); // from statsManager.js
+  const median = auditMedian(ft);
+  const stamps = rows.map(r => extractRowTimestamp(r)); // from chartManager.js
+
+  if (rows.length < AUDIT_MIN_FRAMES) {
+    issues.push({ id: 'short', severity: 'info', message: `Only ${rows.length} frames – too few for reliable percentiles.` });
+  }
+
+  // Timestamp gaps the frame times do not explain (capture paused)
+  if (Number.isFinite(median) && stamps.every(t => t !== null)) {
+    const minGap = Math.max(AUDIT_GAP_MIN_MS, median * AUDIT_GAP_FACTOR);
+    const gaps   = [];
+    let longest  = 0;
+    for (let i = 1; i < rows.length; i++) {
+      const dt = (stamps[i] - stamps[i - 1]) * 1000;
+      if (dt > minGap && dt > 2 * (Math.max(ft[i] || 0, ft[i - 1] || 0))) {
+        gaps.push(i);
+        longest = Math.max(longest, dt);
+      }
+    }
+    if (gaps.length) {
+      issues.push({
+        id: 'gaps', severity: 'warning', rows: gaps.slice(0, AUDIT_STORED_ROWS),
+        message: `${gaps.length} timestamp gap${gaps.length === 1 ? '' : 's'} (longest ${formatNumber(longest / 1000, 2)} s) – the capture was probably paused; ${formatRowReferences(gaps)}.`
+      });
+    }
+  }
+
+  // Timer quantization: frame times stuck on whole 0.5 / 1 ms steps
+  const finite = ft.filter(v => Number.isFinite(v) && v > 0);
+  if (finite.length >= AUDIT_MIN_FRAMES) {
+    const step = AUDIT_QUANT_STEPS.find(s =>
+      finite.filter(v => Math.abs(v / s - Math.round(v / s)) < 1e-6).length / finite.length >= AUDIT_QUANT_SHARE);
+    if (step) {
+      issues.push({
+        id: 'quantized', severity: 'warning',
+        message: `Frame times are quantized to ${step} ms steps – the capture timer is too coarse for percentile and pacing analysis.`
+      });
+    }
+  }
+
+  // Huge single frames (alt-tab, loading, shader compilation)
+  if (Number.isFinite(median)) {
+    const limit  = Math.max(AUDIT_SPIKE_MIN_MS, median * AUDIT_SPIKE_FACTOR);
+    const spikes = ft.map((v, i) => (v > limit ? i : -1)).filter(i => i >= 0);
+    if (spikes.length) {
+      issues.push({
+        id: 'spikes', severity: 'warning', rows: spikes.slice(0, AUDIT_STORED_ROWS),
+        message: `${spikes.length} frame${spikes.length === 1 ? '' : 's'} longer than ${formatNumber(limit, 0)} ms (e.g. alt-tab or loading); ${formatRowReferences(spikes)}.`,
+        fix: { label: `Remove frames longer than ${Math.round(limit)} ms`, type: 'clean', rules: [{ type: 'maxFrameTime', enabled: true, value: Math.round(limit) }] }
+      });
+    }
+  }
+
+  // Rows identical to the one before – only meaningful when rows carry a
+  // timestamp, otherwise two equal frame times are a legitimate repeat
+  const dups = [];
+  if (stamps.every(t => t !== null)) {
+    for (let i = 1; i < rows.length; i++) {
+      if (isDuplicateRow(rows[i], rows[i - 1])) dups.push(i);
+    }
+  }
+  if (dups.length) {
+    issues.push({
+      id: 'duplicates', severity: 'warning', rows: dups.slice(0, AUDIT_STORED_ROWS),
+      message: `${dups.length} row${dups.length === 1 ? ' is an exact duplicate' : 's are exact duplicates'} of the row before; ${formatRowReferences(dups)}.`,
+      fix: { label: 'Remove duplicated rows', type: 'clean', rules: [{ type: 'duplicates', enabled: true }] }
+    });
+  }
+
+  // Leading loading / warm-up section
+  if (finite.length >= AUDIT_WARMUP_WINDOW * 2 && Number.isFinite(median)) {
+    const end = findWarmupEnd(ft, median);
+    const t   = end ? getRowTimes(rows)[end] : 0; // from transformManager.js
+    if (end && t >= 0.5) {
+      const seconds = Math.ceil(t * 10) / 10;
+      issues.push({
+        id: 'warmup', severity: 'info',
+        message: `The first ${formatNumber(seconds, 1)} s (${end} frames) look like a loading or warm-up section.`,
+        fix: { label: `Trim the first ${seconds} s`, type: 'trim', trim: { mode: 'edges', unit: 'seconds', start: seconds, end: 0 } }
+      });
+    }
+  }
+
+  // Actual against expected duration
+  if (expectedDuration > 0) {
+    const actual = getCaptureDuration(ds); // from dataManager.js
+    if (Math.abs(actual - expectedDuration) > expectedDuration * AUDIT_DURATION_SLACK) {
+      issues.push({
+        id: 'duration', severity: 'warning',
+        message: `The capture lasts ${formatNumber(actual, 1)} s, expected ${expectedDuration} s.`
+      });
+    }
+  }
+
+  const grade = issues.some(i => i.severity === 'warning') ? 'poor'
+              : issues.length ? 'fair'
+              : 'good';
+  ds.meta = ds.meta || {};
+  ds.meta.audit = { grade, rows: rows.length, issues, ...(expectedDuration > 0 ? { expectedDuration } : {}) };
+  auditCache.set(rows, ds.meta.audit);
+  return ds.meta.audit;
+}
+
+/**
+ * The audit of a dataset, running it when its rows were replaced since the
+ * last one (e.g. cleaning in place, which may keep the row count).
+ * @param {Object} ds
+ * @returns {{grade:string, rows:number, issues:Object[]}}
+ */
+function getDatasetAudit(ds) {
+  const audit = auditCache.get(ds.rows);
+  if (audit && audit === ds.meta?.audit) return audit;
+  return auditDataset(ds, { expectedDuration: ds.meta?.audit?.expectedDuration });
+}
+
+/**
+ * Badge shown next to a dataset in #datasetList.
+ * @param {Object} ds
+ * @returns {string} HTML
+ */
+function renderAuditBadge(ds) {
+  const audit = getDatasetAudit(ds);
+  const grade = AUDIT_GRADES[audit.grade];
+  const title = audit.issues.length
+    ? audit.issues.map(i => `• ${i.message}`).join('\n')
+    : grade.title;
+  return `<button class="quality-badge ${audit.grade}" data-action="audit" title="${escapeHtml(title)}">${grade.label}</button>`;
+}
+
+/**
+ * Applies the suggested fix of an audit issue. Fixes create a trimmed or
+ * cleaned copy; a dataset that already is a cleaned copy is re-cleaned.
+ * @param {Object} ds
+ * @param {Object} fix - issue.fix
+ * @returns {Object} the new dataset
+ */
+function applyAuditFix(ds, fix) {
+  if (fix.type === 'trim') {
+    const rows = trimRows(ds.rows, fix.trim); // from transformManager.js
+    return addDerivedDataset(ds, rows, `[trim −${fix.trim.start}/−${fix.trim.end}s]`, {
+      op: 'trim', ...fix.trim, sourceRows: ds.rows.length, keptRows: rows.length
+    });
+  }
+  if (fix.type === 'clean') {
+    // A cleaned dataset is cleaned again with the fix added to its rules
+    const rules = [...(ds.meta?.cleaning?.rules || []), ...fix.rules];
+    return cleanDataset(ds, rules); // from cleaningManager.js
+  }
+  throw new Error(`unknown fix ${fix.type}`);
+}
+
+/**
+ * Lists the audit findings of a dataset with a button for each suggested fix.
+ * @param {string} id
+ */
+async function showAuditReport(id) {
+  const ds = getDatasetById(id); // from dataManager.js
+  if (!ds) return;
+  const audit = getDatasetAudit(ds);
+
+  const content = document.createElement('div');
+  content.className = 'audit-report';
+  if (!audit.issues.length) {
+    content.innerHTML = '<p>No quality issues found.</p>';
+  }
+  audit.issues.forEach((issue, i) => {
+    const item = document.createElement('div');
+    item.className = `audit-issue ${issue.severity}`;
+    item.innerHTML = `<p>${escapeHtml(issue.message)}</p>`;
+    if (issue.fix) {
+      const btn = document.createElement('button');
+      btn.className = 'secondary-button mini';
+      btn.textContent = issue.fix.label;
+      btn.dataset.issue = i;
+      item.appendChild(btn);
+    }
+    content.appendChild(item);
+  });
+
+  content.addEventListener('click', e => {
+    const btn   = e.target.closest('button[data-issue]');
+    const issue = btn && audit.issues[btn.dataset.issue];
+    if (!issue) return;
+    try {
+      const fixed = applyAuditFix(ds, issue.fix);
+      refreshDatasetLists(); // from dataManager.js
+      refreshChartedRows([fixed]); // from cleaningManager.js
+      window.notify?.(fixed === ds ? `Cleaned ${ds.name} again.` : `Created ${fixed.name}.`, 'success');
+      btn.disabled = true;
+    } catch (err) {
+      window.notify?.(`Could not apply the fix: ${err.message}`, 'error');
+    }
+  });
+
+  await window.showModal({ title: `Quality audit – ${ds.name}`, content });
+}
+
+window.isDuplicateRow = isDuplicateRow;
+window.auditDataset = auditDataset;
+window.getDatasetAudit = getDatasetAudit;
+window.renderAuditBadge = renderAuditBadge;
+window.applyAuditFix = applyAuditFix;
+window.showAuditReport = showAuditReport;
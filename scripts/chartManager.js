@@ -43,17 +43,26 @@ function buildHistogram(data) {
   return { labels, counts };
 }
 
+/**
+ * Whether a column holds the frame's timestamp in seconds.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isTimestampKey(key) {
+  const lk = key.toLowerCase();
+  return (
+    lk === 'timestamp' ||
+    lk.includes('elapsed time') ||
+    lk.includes('timestamp (elapsed time in seconds)') ||
+    (lk.startsWith('time') && lk.includes('seconds'))
+  );
+}
+
 function extractRowTimestamp(row) {
   if (!row || typeof row !== 'object') return null;
   for (const key in row) {
     if (!Object.prototype.hasOwnProperty.call(row, key)) continue;
-    const lk = key.toLowerCase();
-    if (
-      lk === 'timestamp' ||
-      lk.includes('elapsed time') ||
-      lk.includes('timestamp (elapsed time in seconds)') ||
-      (lk.startsWith('time') && lk.includes('seconds'))
-    ) {
+    if (isTimestampKey(key)) {
       const v = parseFloat(row[key]);
       if (Number.isFinite(v)) return v;
     }
@@ -155,7 +164,8 @@ function renderChart(chartType) {
             label(ctx) {
               if (ctx.dataset.type === 'violin') {
                 const vals = ctx.dataset.data[ctx.dataIndex];
-                const [q1, m, q3] = jStat.quantiles(vals, [0.25, 0.5, 0.75]);
+                const sorted = [...vals].sort((a, b) => a - b);
+                const [q1, m, q3] = [25, 50, 75].map(p => calculatePercentile(sorted, p)); // from statsManager.js
                 return [
                   `N = ${vals.length}`,
                   `Q1 = ${q1.toFixed(2)}`,
@@ -228,43 +238,28 @@ function hexToRgba(hex, alpha) {
 }
 
 /**
- * Builds chartDatasets (and for violin, chartLabels) then calls renderChart().
+ * Builds the chart entries for one "Add to chart" action. Every entry keeps
+ * the definition it was built from (entry.source) so a saved chart can be
+ * rebuilt from the datasets later (see getChartState / restoreChartState).
+ * @param {{datasetIds:string[], metric:string, chartType:string,
+ *          color:string, useValueX:boolean}} source
+ * @returns {{entries:Object[], labels:string[]|null}} labels are the
+ *          categories of violin / boxplot charts
  */
-function addToChart() {
-  const select = document.getElementById('datasetSelect');
-  const indices = Array.from(select.selectedOptions).map(o => +o.value);
-  if (indices.length === 0) {
-    console.error("No datasets selected.");
-    return;
-  }
-
-  const metric    = document.getElementById('metricSelect').value;
-  const chartType = document.getElementById('chartTypeSelect').value;
-  const hexColor  = document.getElementById('colorSelect').value;
-
-  // If this is the very first dataset, remember what chart‑type we started with
-  if (!window.chartDatasets.length) {
-    window.currentChartType = chartType;       // new global flag
-  }
-  
-  // Disallow mixing chart types on the same grid
-  if (window.chartDatasets.length && chartType !== window.currentChartType) {
-    notify(`You already started a “${window.currentChartType}” chart.
-  Clear the chart first if you want to switch to “${chartType}”.`, 'warning');
-    return;
-  }
+function buildChartEntries(source) {
+  const { metric, chartType, color: hexColor, useValueX } = source;
+  const selected = source.datasetIds.map(getDatasetById).filter(Boolean);
+  const entries  = [];
 
   // ---- VIOLIN + BOXPLOT COMBO ----
   if (chartType === 'violin') {
-  const labels = indices.map(i => allDatasets[i].name);
-  const groups = indices.map(i =>
-    allDatasets[i].rows
+  const labels = selected.map(ds => ds.name);
+  const groups = selected.map(ds =>
+    getAnalysisRows(ds) // from statsManager.js
       .map(r => getMetricValue(r, metric))
       .filter(v => v != null)
   );
 
-  window.chartLabels = labels.slice();
-
   // violin fill derived from user color:
   const violinFill = hexToRgba(hexColor, 0.3);
   const borderClr  = hexToRgba(hexColor, 1.0);
@@ -280,7 +275,8 @@ function addToChart() {
     backgroundColor: labels.map(() => violinFill),
     borderColor:     labels.map(() => borderClr),
     borderWidth:     1,
-    order:           2
+    order:           2,
+    sourceDatasetIds: selected.map(ds => ds.id)
   };
 
   const boxDs = {
@@ -292,48 +288,42 @@ function addToChart() {
     borderWidth:     2,
     order:           1,
     barPercentage:   0.05,
-    categoryPercentage: 1.0
+    categoryPercentage: 1.0,
+    sourceDatasetIds: selected.map(ds => ds.id)
   };
 
-  window.chartDatasets = [violinDs, boxDs];
-  renderChart('violin');
-  updateDatasetOrder();
-  document.getElementById('clearChartBtn').disabled = false;
-  return;
+  [violinDs, boxDs].forEach(e => { e.source = source; });
+  return { entries: [violinDs, boxDs], labels };
   }
 
   // ---- BOXPLOT ONLY ----
   if (chartType === 'boxplot') {
-    const labels = indices.map(i => allDatasets[i].name);
-    const groups = indices.map(i =>
-      allDatasets[i].rows
+    const labels = selected.map(ds => ds.name);
+    const groups = selected.map(ds =>
+      getAnalysisRows(ds)
         .map(r => getMetricValue(r, metric))
         .filter(v => v != null)
     );
 
-    window.chartLabels = labels.slice();
-
     const boxDs = {
       label:           `${metric} Quartiles`,
       type:            'boxplot',
       data:            groups,
       backgroundColor: labels.map(() => hexToRgba(hexColor, 0.4)),
       borderColor:     labels.map(() => hexToRgba(hexColor, 1.0)),
-      borderWidth:     2
+      borderWidth:     2,
+      sourceDatasetIds: selected.map(ds => ds.id),
+      source
     };
 
-    window.chartDatasets = [boxDs];
-    renderChart('boxplot');
-    updateDatasetOrder();
-    document.getElementById('clearChartBtn').disabled = false;
-    return;
+    return { entries: [boxDs], labels };
   }
 
 
   // ---- ALL OTHER CHART TYPES ----
-  indices.forEach(idx => {
-    const ds = window.allDatasets[idx];
-    const vals = ds.rows
+  selected.forEach(ds => {
+    const rows = getAnalysisRows(ds);
+    const vals = rows
       .map(r => getMetricValue(r, metric))
       .filter(v => v != null);
     if (!vals.length) return;
@@ -341,11 +331,9 @@ function addToChart() {
     let cfg;
     // line & scatter
     if (chartType === 'line' || chartType === 'scatter') {
-      const useValueX = document.getElementById('useValueX')?.checked;
-
       // Rebuild data points from rows so we can align each kept value with its timestamp
       const dataPoints = [];
-      ds.rows.forEach(r => {
+      rows.forEach(r => {
         const val = getMetricValue(r, metric);
         if (val == null) return;
 
@@ -392,13 +380,16 @@ function addToChart() {
         { x: Math.max(...zs), y: mean + std * Math.max(...zs) }
       ];
       // data points
-      window.chartDatasets.push({
+      entries.push({
         label:           `${ds.name} - ${metric} (Data)`,
         data:            qq,
         borderColor:     hexColor,
         backgroundColor: hexColor,
         pointRadius:     3,
-        showLine:        false
+        showLine:        false,
+        sourceDatasetId: ds.id,
+        labelSuffix:     ` - ${metric} (Data)`,
+        source
       });
       // ref line
       cfg = {
@@ -408,20 +399,119 @@ function addToChart() {
         backgroundColor: '#f00',
         pointRadius:     0,
         borderWidth:     2,
-        showLine:        true
+        showLine:        true,
+        labelSuffix:     ` - ${metric} (Ref Line)`
       };
     }
 
     if (cfg) {
-      window.chartDatasets.push(cfg);
+      cfg.sourceDatasetId = ds.id;
+      cfg.labelSuffix     = cfg.labelSuffix || ` - ${metric}`;
+      cfg.source          = source;
+      entries.push(cfg);
     }
   });
 
+  return { entries, labels: null };
+}
+
+/**
+ * Builds chartDatasets (and for violin, chartLabels) then calls renderChart().
+ */
+function addToChart() {
+  const select = document.getElementById('datasetSelect');
+  const ids = Array.from(select.selectedOptions).map(o => o.value);
+  if (ids.length === 0) {
+    console.error("No datasets selected.");
+    return;
+  }
+
+  const metric    = document.getElementById('metricSelect').value;
+  const chartType = document.getElementById('chartTypeSelect').value;
+  const hexColor  = document.getElementById('colorSelect').value;
+
+  // If this is the very first dataset, remember what chart‑type we started with
+  if (!window.chartDatasets.length) {
+    window.currentChartType = chartType;       // new global flag
+  }
+  
+  // Disallow mixing chart types on the same grid
+  if (window.chartDatasets.length && chartType !== window.currentChartType) {
+    notify(`You already started a “${window.currentChartType}” chart.
+  Clear the chart first if you want to switch to “${chartType}”.`, 'warning');
+    return;
+  }
+
+  const { entries, labels } = buildChartEntries({
+    datasetIds: ids,
+    metric,
+    chartType,
+    color:      hexColor,
+    useValueX:  !!document.getElementById('useValueX')?.checked
+  });
+
+  // violin / boxplot replace the chart, everything else is stacked on it
+  if (labels) {
+    window.chartLabels   = labels.slice();
+    window.chartDatasets = entries;
+  } else {
+    window.chartDatasets.push(...entries);
+  }
+
   renderChart(chartType);
   updateDatasetOrder();
   document.getElementById('clearChartBtn').disabled = false;
 }
 
+/**
+ * Serialisable description of the current chart: the definitions the
+ * entries were built from and the entries' current order.
+ * @returns {{type:string, sources:Object[], entries:Object[]}|null}
+ */
+function getChartState() {
+  if (!window.chartDatasets.length) return null;
+  const sources = [];
+  const entries = window.chartDatasets.map(cd => {
+    if (!sources.includes(cd.source)) sources.push(cd.source);
+    return {
+      source:      sources.indexOf(cd.source),
+      datasetId:   cd.sourceDatasetId ?? null,
+      labelSuffix: cd.labelSuffix ?? null,
+      type:        cd.type ?? null
+    };
+  });
+  return { type: window.currentChartType, sources: sources.map(s => ({ ...s })), entries };
+}
+
+/**
+ * Rebuilds a chart saved with getChartState() from the loaded datasets.
+ * Entries whose dataset no longer exists are left out.
+ * @param {Object|null} state
+ */
+function restoreChartState(state) {
+  clearChart();
+  if (!state?.entries?.length) return;
+
+  const built = state.sources.map(source => buildChartEntries(source));
+  window.chartDatasets = state.entries.map(e => {
+    const pool = built[e.source]?.entries || [];
+    return pool.find(cd =>
+      (cd.sourceDatasetId ?? null) === e.datasetId &&
+      (cd.labelSuffix ?? null) === e.labelSuffix &&
+      (cd.type ?? null) === e.type);
+  }).filter(Boolean);
+  if (!window.chartDatasets.length) return;
+
+  const grouped = built.find(b => b.labels);
+  if (grouped) window.chartLabels = grouped.labels.slice();
+
+  window.currentChartType = state.type;
+  renderChart(state.type);
+  updateDatasetOrder();
+  const clearChartBtn = document.getElementById('clearChartBtn');
+  if (clearChartBtn) clearChartBtn.disabled = false;
+}
+
 /**
  * Move a dataset up/down in the chartDatasets array.
  * Useful if you want to let the user reorder the stacked order in the chart.
@@ -474,6 +564,58 @@ function removeDataset(index) {
   }
 }
 
+/**
+ * Brings the chart in line with allDatasets after a dataset was removed or
+ * renamed: entries of removed datasets are dropped (for violin / boxplot,
+ * their category), labels follow the current dataset names.
+ */
+function syncChartWithDatasets() {
+  if (!window.chartDatasets.length) return;
+
+  let changed = false;
+  const kept = [];
+  window.chartDatasets.forEach(cd => {
+    // violin / boxplot: one category per dataset
+    if (cd.sourceDatasetIds) {
+      const alive = cd.sourceDatasetIds.map(id => !!getDatasetById(id));
+      if (alive.includes(false)) {
+        changed = true;
+        ['data', 'backgroundColor', 'borderColor'].forEach(k => {
+          if (Array.isArray(cd[k])) cd[k] = cd[k].filter((_, i) => alive[i]);
+        });
+        cd.sourceDatasetIds = cd.sourceDatasetIds.filter((_, i) => alive[i]);
+      }
+      if (cd.sourceDatasetIds.length) kept.push(cd);
+      return;
+    }
+
+    if (!cd.sourceDatasetId) { kept.push(cd); return; }
+    const ds = getDatasetById(cd.sourceDatasetId);
+    if (!ds) { changed = true; return; }
+    const label = `${ds.name}${cd.labelSuffix}`;
+    if (cd.label !== label) { cd.label = label; changed = true; }
+    kept.push(cd);
+  });
+
+  const grouped = kept.find(cd => cd.sourceDatasetIds);
+  if (grouped) {
+    const labels = grouped.sourceDatasetIds.map(id => getDatasetById(id).name);
+    if (labels.join('\n') !== (window.chartLabels || []).join('\n')) {
+      window.chartLabels = labels;
+      changed = true;
+    }
+  }
+
+  if (!changed) return;
+  if (!kept.length) {
+    clearChart();
+    return;
+  }
+  window.chartDatasets = kept;
+  renderChart(window.currentChartType);
+  updateDatasetOrder();
+}
+
 /**
  * Re‑build the UL that shows the stacking order.
  * Called after every add / move / remove.
@@ -535,17 +677,14 @@ function displayRawData(datasetId) {
   
   if (!rawDataElement) return;
   
-  // Convert datasetId to a number if it's passed as a string
-  const datasetIndex = parseInt(datasetId, 10);
+  const dataset = datasetId ? getDatasetById(datasetId) : null;
   
-  if (isNaN(datasetIndex) || !window.allDatasets || datasetIndex >= window.allDatasets.length) {
+  if (!dataset) {
     rawDataElement.textContent = '';
     if (rawDataInfo) rawDataInfo.textContent = 'Select a dataset to view its raw content.';
     return;
   }
   
-  const dataset = window.allDatasets[datasetIndex];
-  
   // Update info about the selected dataset
   if (rawDataInfo) {
     rawDataInfo.innerHTML = `
@@ -657,6 +796,11 @@ window.buildQQPlot = buildQQPlot;
 window.renderChart = renderChart;
 window.clearChart = clearChart;
 window.addToChart = addToChart;
+window.buildChartEntries = buildChartEntries;
+window.getChartState = getChartState;
+window.restoreChartState = restoreChartState;
 window.moveDataset = moveDataset;
 window.updateDatasetOrder = updateDatasetOrder;
 window.removeDataset = removeDataset;
+window.syncChartWithDatasets = syncChartWithDatasets;
+window.isTimestampKey = isTimestampKey;
@@ -0,0 +1,498 @@
+// Cleaning pipeline: an ordered list of rules (drop flagged frames, remove
+// alt-tab spikes, …) run on a dataset to produce a cleaned copy. The copy
+// remembers its source and rules, so rules can be toggled and re-applied,
+// or undone, without importing the capture again.
+
+const CLEANING_HISTORY_LIMIT = 20;
+
+/**
+ * Rule types. apply(rows, params) returns the kept rows and, for rules that
+ * change values instead of removing rows, how many rows were changed.
+ * check(rows, params), where present, returns why the rule cannot run on
+ * these rows, or null.
+ */
+const CLEANING_RULES = {
+  dropped: {
+    label:  'Drop frames flagged Dropped',
+    params: [],
+    apply:  rows => ({ rows: rows.filter(r => !isFlagSet(r.Dropped)) }) // from statsManager.js
+  },
+  maxFrameTime: {
+    label:  'Remove frames longer than',
+    params: [{ key: 'value', unit: 'ms', default: 1000 }],
+    apply:  (rows, { value }) => ({
+      rows: rows.filter(r => !(getMetricValue(r, 'FrameTime') > value)) // from statsManager.js
+    })
+  },
+  monotonic: {
+    label:  'Remove non-monotonic timestamps',
+    params: [],
+    apply:  rows => {
+      let last = -Infinity;
+      return {
+        rows: rows.filter(r => {
+          const t = extractRowTimestamp(r); // from chartManager.js
+          if (t === null) return true;
+          if (t <= last) return false;
+          last = t;
+          return true;
+        })
+      };
+    }
+  },
+  duplicates: {
+    label:  'Remove rows duplicating the row before',
+    params: [],
+    apply:  rows => ({ rows: rows.filter((r, i) => i === 0 || !isDuplicateRow(r, rows[i - 1])) }) // from auditManager.js
+  },
+  clip: {
+    label:  'Clip values of',
+    params: [
+      { key: 'metric', type: 'text', default: 'FrameTime' },
+      { key: 'min', label: 'min', default: 0 },
+      { key: 'max', label: 'max', default: 10000 }
+    ],
+    check:  (rows, { metric }) =>
+      rows.some(r => typeof r[metric] === 'number') ? null : `no row has a numeric "${metric}" column`,
+    apply:  (rows, { metric, min, max }) => {
+      let changed = 0;
+      const out = rows.map(r => {
+        const v = r[metric];
+        if (typeof v !== 'number' || (v >= min && v <= max)) return r;
+        changed++;
+        return { ...r, [metric]: Math.min(max, Math.max(min, v)) };
+      });
+      return { rows: out, changed };
+    }
+  }
+};
+
+const DEFAULT_CLEANING_RULES = [
+  { type: 'dropped',      enabled: true },
+  { type: 'maxFrameTime', enabled: true,  value: 1000 },
+  { type: 'monotonic',    enabled: true },
+  { type: 'clip',         enabled: false, metric: 'FrameTime', min: 0, max: 10000 }
+];
+
+// Rules being edited in the Transform tab
+let cleaningRules = loadEditedCleaningRules();
+
+/**
+ * A rule with every parameter of its type, defaults filled in. Clip bounds
+ * given the wrong way round are swapped.
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function normaliseCleaningRule(rule) {
+  const def = CLEANING_RULES[rule.type];
+  const out = { type: rule.type, enabled: rule.enabled !== false };
+  def.params.forEach(p => {
+    const v = rule[p.key];
+    out[p.key] = p.type === 'text' ? String(v ?? p.default)
+               : Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : p.default;
+  });
+  if (out.type === 'clip' && out.min > out.max) [out.min, out.max] = [out.max, out.min];
+  return out;
+}
+
+/**
+ * Runs the enabled rules in order.
+ * @param {Object[]} rows
+ * @param {Object[]} rules
+ * @returns {{rows:Object[], report:Array<?{removed:number, changed:number}>}}
+ *          report has one entry per rule, null for disabled rules
+ * @throws {Error} when an enabled rule cannot run on the rows (see check())
+ */
+function runCleaningPipeline(rows, rules) {
+  const report = [];
+  let current  = rows;
+  rules.forEach(rule => {
+    if (!rule.enabled || !CLEANING_RULES[rule.type]) { report.push(null); return; }
+    const problem = CLEANING_RULES[rule.type].check?.(current, rule);
+    if (problem) throw new Error(`${describeCleaningRule(rule)}: ${problem}`);
+    const result = CLEANING_RULES[rule.type].apply(current, rule);
+    report.push({ removed: current.length - result.rows.length, changed: result.changed || 0 });
+    current = result.rows;
+  });
+  return { rows: current, report };
+}
+
+/**
+ * Short text for a rule, e.g. "Remove frames longer than 1000 ms".
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeCleaningRule(rule) {
+  const def = CLEANING_RULES[rule.type];
+  if (!def) return rule.type;
+  if (rule.type === 'clip') return `${def.label} ${rule.metric} to ${rule.min}–${rule.max}`;
+  const params = def.params.map(p => `${rule[p.key]}${p.unit ? ' ' + p.unit : ''}`);
+  return [def.label, ...params].join(' ');
+}
+
+/**
+ * Cleans a dataset. A dataset that is itself the result of cleaning is
+ * cleaned again from its source, in place; any other dataset gets a new
+ * cleaned copy placed after it.
+ * @param {Object} ds
+ * @param {Object[]} rules
+ * @returns {Object} the cleaned dataset
+ */
+function cleanDataset(ds, rules) {
+  rules = rules.map(normaliseCleaningRule);
+
+  const previous = ds.meta?.cleaning;
+  if (previous) {
+    const source = getDatasetById(previous.source); // from dataManager.js
+    if (!source) throw new Error(`the source of ${ds.name} was removed`);
+    const { rows, report } = runCleaningPipeline(source.rows, rules);
+    ds.rows = rows.map(r => ({ ...r }));
+    recomputeComputedColumns(ds); // from expressionManager.js – the source rows lack or predate them
+    ds.meta.cleaning = {
+      source:  previous.source,
+      rules,
+      report,
+      history: [...(previous.history || []), previous.rules].slice(-CLEANING_HISTORY_LIMIT)
+    };
+    const last = ds.meta.transforms?.[ds.meta.transforms.length - 1];
+    if (last?.op === 'clean') Object.assign(last, { rules, report, keptRows: rows.length, at: new Date().toISOString() });
+    return ds;
+  }
+
+  const { rows, report } = runCleaningPipeline(ds.rows, rules);
+  const cleaned = addDerivedDataset(ds, rows, '[cleaned]', { // from transformManager.js
+    op: 'clean', rules, report, sourceRows: ds.rows.length, keptRows: rows.length
+  });
+  cleaned.meta.cleaning = { source: ds.id, rules, report, history: [] };
+  return cleaned;
+}
+
+/**
+ * Re-applies the rules a cleaned dataset had before its last cleaning.
+ * @param {Object} ds
+ * @returns {boolean} false when there is nothing to undo
+ */
+function undoCleaning(ds) {
+  const cleaning = ds.meta?.cleaning;
+  if (!cleaning?.history?.length) return false;
+  const history = cleaning.history.slice(0, -1);
+  cleanDataset(ds, cleaning.history[cleaning.history.length - 1]);
+  ds.meta.cleaning.history = history;
+  return true;
+}
+
+/* ---------- Rule editor (Transform tab) ---------- */
+
+/**
+ * @returns {Object[]} the rules last edited, or the defaults
+ */
+function loadEditedCleaningRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('cleaningRules') || 'null');
+    if (Array.isArray(saved)) return saved.filter(r => CLEANING_RULES[r.type]).map(normaliseCleaningRule);
+  } catch (e) { /* ignore corrupt value */ }
+  return DEFAULT_CLEANING_RULES.map(normaliseCleaningRule);
+}
+
+/**
+ * Replaces the rules in the editor.
+ * @param {Object[]} rules
+ */
+function setEditedCleaningRules(rules) {
+  cleaningRules = rules.filter(r => CLEANING_RULES[r.type]).map(normaliseCleaningRule);
+  localStorage.setItem('cleaningRules', JSON.stringify(cleaningRules));
+  renderCleaningRules();
+}
+
+/**
+ * Draws the rule list: enable box, parameters, move and remove buttons.
+ */
+function renderCleaningRules() {
+  const list = document.getElementById('cleaningRuleList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  cleaningRules.forEach((rule, i) => {
+    const def = CLEANING_RULES[rule.type];
+    const li  = document.createElement('li');
+    li.className = 'cleaning-rule';
+    li.dataset.index = i;
+
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" data-field="enabled"${rule.enabled ? ' checked' : ''}> ${escapeHtml(def.label)}`;
+    li.appendChild(label);
+
+    def.params.forEach(p => {
+      const input = document.createElement('input');
+      input.type  = p.type === 'text' ? 'text' : 'number';
+      input.value = rule[p.key];
+      input.dataset.field = p.key;
+      input.className = 'cleaning-param';
+      input.setAttribute('aria-label', p.label || p.unit || p.key);
+      if (p.label) li.append(`${p.label} `);
+      li.appendChild(input);
+      if (p.unit) li.append(` ${p.unit}`);
+    });
+
+    const actions = document.createElement('span');
+    actions.className = 'dataset-actions';
+    actions.innerHTML = `
+      <button class="secondary-button mini" data-action="up" title="Run earlier"${i === 0 ? ' disabled' : ''}>↑</button>
+      <button class="secondary-button mini" data-action="down" title="Run later"${i === cleaningRules.length - 1 ? ' disabled' : ''}>↓</button>
+      <button class="secondary-button mini" data-action="remove" title="Remove rule">✕</button>`;
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Handles edits in the rule list (change events).
+ * @param {Event} e
+ */
+function onCleaningRuleChange(e) {
+  const field = e.target.dataset.field;
+  const i     = Number(e.target.closest('li[data-index]')?.dataset.index);
+  if (!field || !cleaningRules[i]) return;
+  const next = cleaningRules.slice();
+  next[i] = { ...next[i], [field]: field === 'enabled' ? e.target.checked : e.target.value };
+  const swapped = next[i].type === 'clip' && Number(next[i].min) > Number(next[i].max);
+  setEditedCleaningRules(next);
+  if (swapped) window.notify?.('The clip minimum was above the maximum – the bounds were swapped.', 'info');
+}
+
+/**
+ * Handles the move / remove buttons in the rule list (click events).
+ * @param {Event} e
+ */
+function onCleaningRuleAction(e) {
+  const btn = e.target.closest('button[data-action]');
+  const i   = Number(btn?.closest('li[data-index]')?.dataset.index);
+  if (!btn || !cleaningRules[i]) return;
+  const next = cleaningRules.slice();
+  const j    = btn.dataset.action === 'up' ? i - 1 : i + 1;
+  if (btn.dataset.action === 'remove') next.splice(i, 1);
+  else if (next[j]) [next[i], next[j]] = [next[j], next[i]];
+  setEditedCleaningRules(next);
+}
+
+/**
+ * Appends a rule of the type chosen in #cleaningRuleType.
+ */
+function addCleaningRule() {
+  const type = document.getElementById('cleaningRuleType')?.value;
+  if (!CLEANING_RULES[type]) return;
+  setEditedCleaningRules([...cleaningRules, { type, enabled: true }]);
+}
+
+/* ---------- Presets ---------- */
+
+/**
+ * @returns {Object<string, Object[]>} preset name → rules
+ */
+function loadCleaningPresets() {
+  try {
+    return JSON.parse(localStorage.getItem('cleaningPresets') || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Fills the preset select.
+ */
+function refreshCleaningPresets() {
+  const select = document.getElementById('cleaningPresetSelect');
+  if (!select) return;
+  select.innerHTML = '<option value="">Choose a preset…</option>';
+  Object.keys(loadCleaningPresets()).sort((a, b) => a.localeCompare(b))
+    .forEach(name => select.add(new Option(name, name)));
+}
+
+/**
+ * Saves the rules in the editor as a named preset.
+ */
+async function saveCleaningPreset() {
+  const input = document.createElement('input');
+  input.type  = 'text';
+  input.className = 'modal-input';
+  input.value = document.getElementById('cleaningPresetSelect')?.value || '';
+
+  const choice = await window.showModal({
+    title:   'Save cleaning preset',
+    message: 'Name for the current rules. An existing preset of the same name is replaced.',
+    content: input,
+    buttons: [
+      { label: 'Cancel', value: null },
+      { label: 'Save', value: 'save', primary: true }
+    ]
+  });
+  const name = input.value.trim();
+  if (choice !== 'save' || !name) return;
+
+  const presets = loadCleaningPresets();
+  presets[name] = cleaningRules;
+  localStorage.setItem('cleaningPresets', JSON.stringify(presets));
+  refreshCleaningPresets();
+  document.getElementById('cleaningPresetSelect').value = name;
+  window.notify?.(`Saved cleaning preset "${name}".`, 'success');
+}
+
+/**
+ * Loads the preset chosen in #cleaningPresetSelect into the editor.
+ */
+function loadCleaningPreset() {
+  const name  = document.getElementById('cleaningPresetSelect')?.value;
+  const rules = loadCleaningPresets()[name];
+  if (rules) setEditedCleaningRules(rules);
+}
+
+/**
+ * Deletes the preset chosen in #cleaningPresetSelect.
+ */
+function deleteCleaningPreset() {
+  const name    = document.getElementById('cleaningPresetSelect')?.value;
+  const presets = loadCleaningPresets();
+  if (!name || !(name in presets)) return;
+  delete presets[name];
+  localStorage.setItem('cleaningPresets', JSON.stringify(presets));
+  refreshCleaningPresets();
+  window.notify?.(`Deleted cleaning preset "${name}".`, 'info');
+}
+
+/* ---------- Applying ---------- */
+
+/**
+ * Shows how many rows each rule removed (or changed) per dataset.
+ * @param {Object[]} datasets - cleaned datasets
+ */
+function showCleaningReport(datasets) {
+  const container = document.getElementById('cleaningReport');
+  if (!container) return;
+  const cleaned = datasets.filter(ds => ds.meta?.cleaning);
+  if (!cleaned.length) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = cleaned.map(ds => {
+    const { rules, report, source } = ds.meta.cleaning;
+    const total = getDatasetById(source)?.rows.length;
+    const body  = rules.map((rule, i) => {
+      const r = report[i];
+      const result = !r ? 'off'
+                   : r.changed ? `${r.changed.toLocaleString()} changed`
+                   : `${r.removed.toLocaleString()} removed`;
+      return `<tr${r ? '' : ' class="disabled"'}><td>${escapeHtml(describeCleaningRule(rule))}</td><td>${result}</td></tr>`;
+    }).join('');
+    const kept = total != null ? `${ds.rows.length.toLocaleString()} of ${total.toLocaleString()} rows kept` : '';
+    return `
+      <table class="enhanced-table cleaning-report">
+        <thead><tr><th colspan="2">${escapeHtml(ds.name)} <span class="sub">${kept}</span></th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  }).join('');
+}
+
+/**
+ * @returns {Object[]} datasets selected in the Transform tab
+ */
+function getTransformSelection() {
+  const select = document.getElementById('transformDatasetSelect');
+  return Array.from(select?.selectedOptions || [], o => getDatasetById(o.value)).filter(Boolean);
+}
+
+/**
+ * Redraws the chart when it shows any of the given datasets, whose rows
+ * were replaced.
+ * @param {Object[]} datasets
+ */
+function refreshChartedRows(datasets) {
+  const ids = new Set(datasets.map(ds => ds.id));
+  const charted = window.chartDatasets.some(cd =>
+    ids.has(cd.sourceDatasetId) || (cd.sourceDatasetIds || []).some(id => ids.has(id)));
+  if (charted) restoreChartState(getChartState()); // from chartManager.js
+}
+
+/**
+ * Cleans every selected dataset with the rules in the editor.
+ */
+function cleanSelectedDatasets() {
+  const datasets = getTransformSelection();
+  if (!datasets.length) {
+    window.notify?.('Select the datasets to clean.', 'warning');
+    return;
+  }
+  if (!cleaningRules.some(r => r.enabled)) {
+    window.notify?.('Enable at least one cleaning rule.', 'warning');
+    return;
+  }
+
+  const cleaned = [];
+  const failed  = [];
+  datasets.forEach(ds => {
+    try {
+      cleaned.push(cleanDataset(ds, cleaningRules));
+    } catch (err) {
+      failed.push(`${ds.name}: ${err.message}`);
+    }
+  });
+
+  refreshDatasetLists(); // from dataManager.js
+  refreshChartedRows(cleaned);
+  showCleaningReport(cleaned);
+  if (cleaned.length) window.notify?.(`Cleaned ${cleaned.length} dataset${cleaned.length === 1 ? '' : 's'}.`, 'success');
+  if (failed.length)  window.notify?.(`Could not clean ${failed.join('; ')}`, 'error');
+}
+
+/**
+ * Undoes the last cleaning of every selected cleaned dataset.
+ */
+function undoSelectedCleaning() {
+  const undone = getTransformSelection().filter(ds => {
+    try {
+      return undoCleaning(ds);
+    } catch (err) {
+      window.notify?.(`Could not undo ${ds.name}: ${err.message}`, 'error');
+      return false;
+    }
+  });
+  if (!undone.length) {
+    window.notify?.('No earlier cleaning to go back to for the selected datasets.', 'info');
+    return;
+  }
+
+  if (undone.length === 1) setEditedCleaningRules(undone[0].meta.cleaning.rules);
+  refreshDatasetLists();
+  refreshChartedRows(undone);
+  showCleaningReport(undone);
+  window.notify?.(`Undid the last cleaning of ${undone.map(ds => ds.name).join(', ')}.`, 'info');
+}
+
+/**
+ * When one cleaned dataset is selected, loads its rules for editing and
+ * shows its report.
+ */
+function onTransformSelectionChange() {
+  const datasets = getTransformSelection();
+  if (datasets.length === 1 && datasets[0].meta?.cleaning) {
+    setEditedCleaningRules(datasets[0].meta.cleaning.rules);
+  }
+  showCleaningReport(datasets);
+}
+
+window.CLEANING_RULES = CLEANING_RULES;
+window.runCleaningPipeline = runCleaningPipeline;
+window.describeCleaningRule = describeCleaningRule;
+window.cleanDataset = cleanDataset;
+window.undoCleaning = undoCleaning;
+window.renderCleaningRules = renderCleaningRules;
+window.onCleaningRuleChange = onCleaningRuleChange;
+window.onCleaningRuleAction = onCleaningRuleAction;
+window.addCleaningRule = addCleaningRule;
+window.refreshCleaningPresets = refreshCleaningPresets;
+window.saveCleaningPreset = saveCleaningPreset;
+window.loadCleaningPreset = loadCleaningPreset;
+window.deleteCleaningPreset = deleteCleaningPreset;
+window.cleanSelectedDatasets = cleanSelectedDatasets;
+window.undoSelectedCleaning = undoSelectedCleaning;
+window.onTransformSelectionChange = onTransformSelectionChange;
@@ -10,11 +10,39 @@ function clearAllDatasets() {
   console.log("All datasets cleared.");
 }
 
+// Next id handed out by addDataset(); ids are never reused
+let nextDatasetId = 1;
+
+/**
+ * Registers a dataset in allDatasets and gives it a stable id ("ds1", …).
+ * Selects, charts, stats and tests refer to datasets by this id, so
+ * removing one does not shift the others.
+ * @param {Object} ds - {name, rows, meta, tags?}
+ * @param {number} [index] - insert position, appended by default
+ * @returns {Object} ds
+ */
+function addDataset(ds, index = window.allDatasets.length) {
+  if (!ds.id) ds.id = `ds${nextDatasetId++}`;
+  // Restored datasets keep their id; later ones must not reuse it
+  else nextDatasetId = Math.max(nextDatasetId, (parseInt(ds.id.slice(2), 10) || 0) + 1);
+  window.allDatasets.splice(index, 0, ds);
+  return ds;
+}
+
+/**
+ * @param {string} id - see addDataset()
+ * @returns {Object|null}
+ */
+function getDatasetById(id) {
+  return window.allDatasets.find(ds => ds.id === id) || null;
+}
+
 const FRAME_ALIASES = [
   { key:'frametime',             scale:1     },
   { key:'frametime(ms)',         scale:1     },
   { key:'frametime(us)',         scale:0.001 },
   { key:'msbetweenpresents',     scale:1     },
+  { key:'msbetweenappstart',     scale:1     },
   { key:'frame delta time(ms)',  scale:1     }
 ];
 
@@ -25,257 +53,2193 @@ function canonKey(str){          // lower‑case & strip spaces
 const METRIC_BLACKLIST = new Set([
   'Application','GPU','CPU','Resolution','Runtime','ProcessID','SwapChainAddress',
   'PresentFlags','FlipToken', 'AllowsTearing', 'SyncInterval', 'Dropped', 'TimeInSeconds',
-  'CPUStartTime', 'PresentMode',
+  'CPUStartTime', 'PresentMode', 'PresentRuntime', 'FrameType', 'AnimationTime',
+  'CPUStartQPC', 'CPUStartQPCTime', 'CPUStartDateTime', 'RunId',
 ]);
 
+/**
+ * PresentMon CSV schemas, newest first. A schema is picked from the header
+ * row; `columns` maps raw headers (canonKey form) to the canonical metric
+ * names used by the rest of the app, so 1.x, 2.x and FrameView captures end
+ * up with comparable columns. `frameTime` is the canonical column FrameTime
+ * is derived from.
+ */
+const PRESENTMON_SCHEMAS = [
+  {
+    version:   '2.x',
+    detect:    keys => keys.has('msbetweenappstart') || keys.has('mscpubusy'),
+    frameTime: 'MsBetweenAppStart',
+    columns: {
+      'cpustarttime':              'TimeInSeconds',      // seconds since capture start
+      'msbetweensimulationstart':  'MsBetweenSimulationStart',
+      'msbetweenappstart':         'MsBetweenAppStart',
+      'mscpubusy':                 'CPUBusy',
+      'mscpuwait':                 'CPUWait',
+      'msgpulatency':              'GPULatency',
+      'msgputime':                 'GPUTime',
+      'msgpubusy':                 'GPUBusy',
+      'msgpuwait':                 'GPUWait',
+      'msvideobusy':               'VideoBusy',
+      'msanimationerror':          'AnimationError',
+      'msflipdelay':               'FlipDelay',
+      'displaylatency':            'DisplayLatency',
+      'msdisplaylatency':          'DisplayLatency',
+      'displayedtime':             'DisplayedTime',
+      'msdisplayedtime':           'DisplayedTime',
+      'clicktophotonlatency':      'ClickToPhotonLatency',
+      'msclicktophotonlatency':    'ClickToPhotonLatency',
+      'msallinputtophotonlatency': 'AllInputToPhotonLatency',
+      'frametype':                 'FrameType'
+    }
+  },
+  {
+    version:   '1.x',
+    detect:    keys => keys.has('msbetweenpresents') && keys.has('application'),
+    frameTime: 'MsBetweenPresents',
+    columns:   {}
+  }
+];
+
+/**
+ * Finds the PresentMon schema matching a CSV header row.
+ * @param {string[]} headers
+ * @returns {Object|null} entry of PRESENTMON_SCHEMAS, or null if not PresentMon
+ */
+function detectPresentMonSchema(headers) {
+  const keys = new Set(headers.map(canonKey));
+  return PRESENTMON_SCHEMAS.find(s => s.detect(keys)) || null;
+}
+
+/**
+ * Renames raw header names to their canonical metric names. A column is
+ * left alone when its canonical name already exists in the file.
+ * @param {string[]} headers
+ * @param {Object|null} schema
+ * @returns {string[]}
+ */
+function applySchemaToHeaders(headers, schema) {
+  if (!schema) return headers;
+  const taken = new Set(headers);
+  return headers.map(h => {
+    const canon = schema.columns[canonKey(h)];
+    if (!canon || canon === h || taken.has(canon)) return h;
+    taken.add(canon);
+    return canon;
+  });
+}
+
 // global UI flag (default = basic mode)
 window.showAdvancedMetrics = false;
 
 
 /**
- * Ensures row.FrameTime and row.FPS exist, creating them from aliases when
- * necessary.
+ * Ensures row.FrameTime and row.FPS exist, creating them from aliases when
+ * necessary. A detected PresentMon schema decides which column wins.
+ * @param {Object} row
+ * @param {Object|null} [schema] - entry of PRESENTMON_SCHEMAS
+ */
+function normaliseRow(row, schema = null){
+  const map = {};
+  Object.keys(row).forEach(k => map[ canonKey(k) ] = k);
+
+  /* FrameTime ----------------------------------------------------------- */
+  if (row.FrameTime == null && schema){
+    const v = Number(row[schema.frameTime]);
+    if (row[schema.frameTime] != null && Number.isFinite(v)) row.FrameTime = v;
+  }
+  if (row.FrameTime == null){
+    for (const {key,scale} of FRAME_ALIASES){
+      const m = map[key];
+      if (m){
+        const v = Number(row[m]);
+        if (Number.isFinite(v)){
+          row.FrameTime = v * scale;
+          break;
+        }
+      }
+    }
+  }
+
+  /* FPS ----------------------------------------------------------------- */
+  if (row.FPS == null){
+    const fpsKey = map['fps'];
+    if (fpsKey && Number.isFinite(row[fpsKey])){
+      row.FPS = Number(row[fpsKey]);
+    } else if (Number.isFinite(row.FrameTime) && row.FrameTime > 0){
+      row.FPS = 1000 / row.FrameTime;           // derive from FT
+    }
+  }
+
+  /* Back‑fill FrameTime from FPS if still missing ---------------------- */
+  if (row.FrameTime == null && Number.isFinite(row.FPS) && row.FPS > 0){
+    row.FrameTime = 1000 / row.FPS;
+  }
+}
+
+
+/**
+ * Generic JSON‑table reader (CapFrameX today, other tools tomorrow)
+ * ---------------------------------------------------------------
+ *  • Every entry of Runs[] becomes its own dataset (or one merged dataset
+ *    when mergeRuns is set, or the capture only has one run).
+ *  • Detects the “per‑frame array” length (taken from MsBetweenPresents).
+ *  • Copies *all* CaptureData fields that are arrays of that length.
+ *  • Still runs normaliseRow() to create FrameTime / FPS aliases.
+ *  • The Info block (game, CPU, GPU, driver, comment…) is attached as
+ *    meta.info on every dataset.
+ *
+ * @param {string} text
+ * @param {string} fileName
+ * @param {{mergeRuns?:boolean}} [opts]
+ * @returns {Array<{name:string, meta:Object, rows:Object[]}>}
+ */
+function parseCfxJson(text, fileName, { mergeRuns = false } = {}){
+  let json;
+  try{
+    json = JSON.parse(text);
+  }catch(e){
+    console.warn('Not valid JSON:', fileName);
+    return [];
+  }
+  if (!json?.Runs?.length){
+    console.warn('No Runs[] array in file:', fileName);
+    return [];
+  }
+
+  const info = {};
+  Object.entries(json.Info ?? {}).forEach(([key, val]) => {
+    if (val == null || typeof val === 'object' || val === '') return;
+    info[key] = String(val);
+  });
+
+  const runs = [];
+  json.Runs.forEach((run, i) => {
+    const rows = cfxRunRows(run);
+    if (rows.length) runs.push({ index: i + 1, rows });
+  });
+  if (!runs.length) return [];
+
+  const meta = extra => ({ format: 'cfx-json', info: { ...info }, ...extra });
+
+  if (mergeRuns || runs.length === 1) {
+    const rows = [];
+    runs.forEach(r => { for (const row of r.rows) rows.push(row); });
+    return [{ name: fileName, meta: meta({ runs: runs.length }), rows }];
+  }
+  return runs.map(r => ({
+    name: `${fileName} – Run ${r.index}`,
+    meta: meta({ run: r.index, runs: runs.length }),
+    rows: r.rows
+  }));
+}
+
+/**
+ * Turns the column arrays of one CapFrameX run into row objects.
+ * @param {Object} run - entry of Runs[]
+ * @returns {Object[]}
+ */
+function cfxRunRows(run){
+  const cd = run?.CaptureData ?? {};
+  const rows = [];
+
+  // Determine how many frames we have – fall back to longest array
+  let frames = Array.isArray(cd.MsBetweenPresents) ? cd.MsBetweenPresents.length : 0;
+  if (!frames){
+    // grab the first array length we can find
+    for (const v of Object.values(cd)){
+      if (Array.isArray(v)){ frames = v.length; break; }
+    }
+  }
+  if (!frames){ return rows; }   // nothing useful in this run
+
+  for (let i=0; i<frames; i++){
+    const r = {};
+
+    // copy every per‑frame column
+    Object.entries(cd).forEach(([key,val])=>{
+      if (Array.isArray(val) && i < val.length){
+        r[key] = val[i];
+      }
+    });
+
+    // un‑alias MsBetweenPresents → FrameTime (ms)
+    if (r.MsBetweenPresents != null && r.FrameTime == null){
+      r.FrameTime = r.MsBetweenPresents;      // already in ms
+    }
+
+    normaliseRow(r);          // adds FPS / fills aliases & gaps
+    rows.push(r);
+  }
+  return rows;
+}
+
+
+
+
+
+// Trace events that mark one frame, in order of preference
+const TRACE_FRAME_EVENTS = ['DrawFrame', 'BeginFrame', 'Graphics.Pipeline'];
+
+/**
+ * Chrome DevTools trace‑event JSON ({traceEvents:[…]} or a bare array, which
+ * is also what Perfetto's "Export JSON" writes).
+ *
+ *  • Frames are taken per process from DrawFrame, else BeginFrame, else the
+ *    Graphics.Pipeline async slices (grouped by id).
+ *  • FrameTime is the interval between consecutive frame starts (ms);
+ *    FrameDuration is the event's own duration when it has one.
+ *  • If process names are known, only renderer processes are kept.
+ *
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {Array<{name:string, meta:Object, rows:Object[]}>} one per process
+ */
+function parseChromeTrace(text, fileName) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    console.warn('Not valid JSON:', fileName);
+    return [];
+  }
+  const events = Array.isArray(json) ? json : json?.traceEvents;
+  if (!Array.isArray(events)) {
+    console.warn('No traceEvents[] array in file:', fileName);
+    return [];
+  }
+
+  const processNames = {};
+  const perPid = new Map();    // pid → { eventName → [{start, end}] }
+  const open   = new Map();    // "pid:tid:name" → stack of 'B' timestamps
+  const async  = new Map();    // "pid:name:id"  → {start, end}
+
+  const framesOf = (pid, name) => {
+    if (!perPid.has(pid)) perPid.set(pid, {});
+    const byName = perPid.get(pid);
+    return byName[name] || (byName[name] = []);
+  };
+
+  for (const ev of events) {
+    if (ev.ph === 'M' && ev.name === 'process_name') {
+      processNames[ev.pid] = ev.args?.name;
+      continue;
+    }
+    if (!TRACE_FRAME_EVENTS.includes(ev.name) || typeof ev.ts !== 'number') continue;
+
+    const threadKey = `${ev.pid}:${ev.tid}:${ev.name}`;
+    const asyncKey  = `${ev.pid}:${ev.name}:${ev.id ?? ev.id2?.local ?? ev.id2?.global}`;
+
+    switch (ev.ph) {
+      case 'X':
+        framesOf(ev.pid, ev.name).push({ start: ev.ts, end: ev.ts + (ev.dur || 0) });
+        break;
+      case 'I': case 'i': case 'R':
+        framesOf(ev.pid, ev.name).push({ start: ev.ts, end: null });
+        break;
+      case 'B':
+        if (!open.has(threadKey)) open.set(threadKey, []);
+        open.get(threadKey).push(ev.ts);
+        break;
+      case 'E': {
+        const start = open.get(threadKey)?.pop();
+        if (start != null) framesOf(ev.pid, ev.name).push({ start, end: ev.ts });
+        break;
+      }
+      case 'b': case 'S': {
+        let slice = async.get(asyncKey);
+        if (!slice) {
+          slice = { start: ev.ts, end: null };
+          async.set(asyncKey, slice);
+          framesOf(ev.pid, ev.name).push(slice);
+        }
+        slice.start = Math.min(slice.start, ev.ts);
+        break;
+      }
+      case 'e': case 'F': {
+        const slice = async.get(asyncKey);
+        if (slice) slice.end = Math.max(slice.end ?? ev.ts, ev.ts);
+        break;
+      }
+    }
+  }
+
+  let pids = Array.from(perPid.keys());
+  if (pids.some(pid => /renderer/i.test(processNames[pid] || ''))) {
+    pids = pids.filter(pid => /renderer/i.test(processNames[pid] || ''));
+  }
+
+  const datasets = [];
+  pids.forEach(pid => {
+    const byName = perPid.get(pid);
+    const frameEvent = TRACE_FRAME_EVENTS.find(n => byName[n]?.length > 1);
+    if (!frameEvent) return;
+
+    const frames = byName[frameEvent].slice().sort((a, b) => a.start - b.start);
+    const t0 = frames[0].start;
+    const rows = [];
+    for (let i = 1; i < frames.length; i++) {
+      const interval = (frames[i].start - frames[i - 1].start) / 1000;   // µs → ms
+      if (!(interval > 0)) continue;
+      const row = {
+        TimeInSeconds: (frames[i].start - t0) / 1e6,
+        FrameTime:     interval
+      };
+      if (frames[i].end != null) row.FrameDuration = (frames[i].end - frames[i].start) / 1000;
+      normaliseRow(row);
+      rows.push(row);
+    }
+    if (!rows.length) return;
+
+    const processName = processNames[pid] || 'Process';
+    datasets.push({
+      name: `${fileName} – ${processName} ${pid}`,
+      meta: { format: 'chrome-trace', info: { process: processName, pid: String(pid), frameEvent } },
+      rows
+    });
+  });
+
+  if (!datasets.length) console.warn('No frame events found in trace:', fileName);
+  return datasets;
+}
+
+// Per‑stage durations of Android framestats: [metric, from column, to column]
+const GFXINFO_STAGES = [
+  ['InputDuration',         'HandleInputStart',       'AnimationStart'],
+  ['AnimationDuration',     'AnimationStart',         'PerformTraversalsStart'],
+  ['LayoutDuration',        'PerformTraversalsStart', 'DrawStart'],
+  ['DrawDuration',          'DrawStart',              'SyncStart'],
+  ['SyncDuration',          'SyncStart',              'IssueDrawCommandsStart'],
+  ['CommandIssueDuration',  'IssueDrawCommandsStart', 'SwapBuffers'],
+  ['GPUDuration',           'IssueDrawCommandsStart', 'GpuCompleted'],
+];
+
+/**
+ * Android `adb shell dumpsys gfxinfo <pkg> framestats` output. Every window
+ * contributes a block between two "---PROFILEDATA---" markers, starting with
+ * a header ("Flags,IntendedVsync,Vsync,…,FrameCompleted,…") followed by one
+ * line per frame of nanosecond timestamps.
+ *
+ *  • Frames with non‑zero Flags are outliers by Android's definition and
+ *    are skipped.
+ *  • FrameTime = FrameCompleted − IntendedVsync (ms), the total frame cost
+ *    Android's jank metrics are based on.
+ *  • Stage durations (input, animation, layout, draw, sync, command issue,
+ *    GPU) follow GFXINFO_STAGES; the buffer queue durations are kept in ms.
+ *  • Repeated dumps overlap, so frames are de‑duplicated by IntendedVsync.
+ *
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {{rows:Object[], meta:Object}}
+ */
+function parseGfxInfo(text, fileName) {
+  const lines  = text.replace(/\r\n|\r/g, '\n').split('\n');
+  const info   = {};
+  const frames = new Map();       // IntendedVsync → row
+  let inBlock  = false;
+  let headers  = null;
+  let skipped  = 0;
+
+  const ns = (raw, key) => {
+    const i = raw.headers.indexOf(key);
+    const v = i >= 0 ? Number(raw.vals[i]) : NaN;
+    return Number.isFinite(v) && v > 0 ? v : null;
+  };
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const owner = /Graphics info for pid (\d+) \[([^\]]+)\]/.exec(trimmed);
+    if (owner) {
+      info.pid = owner[1];
+      info.package = owner[2];
+      continue;
+    }
+    if (trimmed === '---PROFILEDATA---') {
+      inBlock = !inBlock;
+      headers = null;
+      continue;
+    }
+    if (!inBlock || !trimmed) continue;
+
+    const vals = trimmed.split(',').map(v => v.trim());
+    if (!headers) {
+      headers = vals;
+      continue;
+    }
+
+    const raw = { headers, vals };
+    if ((ns(raw, 'Flags') ?? 0) !== 0) {
+      skipped++;
+      continue;
+    }
+    const intended  = ns(raw, 'IntendedVsync');
+    const completed = ns(raw, 'FrameCompleted');
+    if (intended == null || completed == null || frames.has(intended)) continue;
+
+    const row = { IntendedVsync: intended, FrameTime: (completed - intended) / 1e6 };
+    GFXINFO_STAGES.forEach(([metric, from, to]) => {
+      const a = ns(raw, from);
+      const b = ns(raw, to);
+      if (a != null && b != null && b >= a) row[metric] = (b - a) / 1e6;
+    });
+    ['DequeueBufferDuration', 'QueueBufferDuration'].forEach(key => {
+      const v = Number(vals[headers.indexOf(key)]);
+      if (headers.includes(key) && Number.isFinite(v)) row[key] = v / 1e6;
+    });
+    frames.set(intended, row);
+  }
+
+  const rows = Array.from(frames.values()).sort((a, b) => a.IntendedVsync - b.IntendedVsync);
+  const t0 = rows.length ? rows[0].IntendedVsync : 0;
+  rows.forEach(row => {
+    row.TimeInSeconds = (row.IntendedVsync - t0) / 1e9;
+    delete row.IntendedVsync;
+    normaliseRow(row);
+  });
+
+  if (!rows.length) console.warn('No framestats rows found in:', fileName);
+  return { rows, meta: { format: 'gfxinfo', info, flaggedFramesSkipped: skipped } };
+}
+
+/**
+ * MSI Afterburner / RTSS hardware‑monitoring log (.hml) reader.
+ *
+ *   00, 19-05-2023 20:41:15, Hardware monitoring log v1.6
+ *   01, NVIDIA GeForce RTX 3080
+ *   02, dd-MM-yyyy hh:mm:ss, GPU temperature , GPU usage , … , Framerate , Frametime
+ *   03, GPU temperature , GPU1 , °C , 0.000 , 100.000 , …
+ *   80, 19-05-2023 20:41:16, 45.000 , 97.000 , … , 143.000 , 6.993
+ *
+ * Every line is "<record type>, <fields…>" separated by comma + space. The
+ * column‑name and sample records are told apart by content (names vs. a real
+ * date followed by numbers) rather than trusting the record number alone.
+ * "Frametime" is renamed to FrameTime, "Framerate" to FPS, and the sample date
+ * becomes TimeInSeconds (seconds since the first sample).
+ *
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {{rows:Object[], meta:Object}}
+ */
+function parseHml(text, fileName) {
+  const lines = text.replace(/\r\n|\r/g, '\n').split('\n');
+  const info  = {};
+  const units = {};
+  const gpus  = [];
+  const rows  = [];
+  let headers = null;
+  let t0      = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const fields = line.split(',').map(f => f.trim());
+    const type   = fields[0];
+
+    if (type === '00') {
+      info.log = fields.slice(2).join(', ');
+      continue;
+    }
+    if (type === '01') {
+      if (fields[1]) gpus.push(fields.slice(1).join(', '));
+      continue;
+    }
+    if (type === '03') {
+      if (fields[1] && fields[3]) units[fields[1]] = fields[3];
+      continue;
+    }
+
+    const time = parseHmlDate(fields[1]);
+    if (time == null) {
+      // column names: "<type>, dd-MM-yyyy hh:mm:ss, <sensor>, <sensor>, …"
+      if (!headers && fields.length > 2) headers = uniqueNames(fields.slice(2));
+      continue;
+    }
+    if (!headers) continue;
+
+    if (t0 == null) t0 = time;
+    const row = { TimeInSeconds: (time - t0) / 1000 };
+    headers.forEach((h, i) => {
+      const raw = fields[i + 2] ?? '';
+      const num = Number(raw);
+      row[h] = raw !== '' && Number.isFinite(num) ? num : null;
+    });
+    if ('Frametime' in row) {
+      row.FrameTime = row.Frametime;
+      delete row.Frametime;
+    }
+    if ('Framerate' in row) {
+      row.FPS = row.Framerate;
+      delete row.Framerate;
+    }
+    normaliseRow(row);
+    rows.push(row);
+  }
+
+  if (!headers) console.warn('No column header record in HML file:', fileName);
+  if (gpus.length) info.gpu = gpus.join('; ');
+  return { rows, meta: { format: 'hml', info, units } };
+}
+
+/**
+ * Parses the "dd-MM-yyyy HH:mm:ss[.fff]" stamp used by Afterburner logs.
+ * @param {string} str
+ * @returns {number|null} epoch milliseconds, or null if str isn't a date
+ */
+function parseHmlDate(str) {
+  const m = /^(\d{1,2})[-./](\d{1,2})[-./](\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})(?:[.,](\d+))?$/.exec(str || '');
+  if (!m) return null;
+  const [, d, mo, y, h, mi, sec, frac = '0'] = m;
+  const ms = Number(`0.${frac}`) * 1000;
+  return new Date(+y, +mo - 1, +d, +h, +mi, +sec, ms).getTime();
+}
+
+/**
+ * Makes repeated column names unique ("CPU usage", "CPU usage #2", …).
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function uniqueNames(names) {
+  const seen = {};
+  return names.map(n => {
+    const name = n || 'Column';
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} #${seen[name]}` : name;
+  });
+}
+
+
+/**
+ * Reads CSV text into an array of objects, handling quoted strings, multiple delimiters, and line endings.
+ * @param {string} text - The CSV file contents as a string.
+ * @returns {Array<Object>} The parsed rows as an array of objects.
+ */
+function parseCSV(text) {
+  const rows   = [];
+  const stream = createCSVRowStream(row => rows.push(row));
+  stream.push(text);
+  stream.end();
+  return rows;
+}
+
+/**
+ * Picks the delimiter that splits the header line into the most fields.
+ * @param {string} headerLine
+ * @returns {string}
+ */
+function detectDelimiter(headerLine) {
+  return [',','\t',';'].sort(
+    (a,b)=> headerLine.split(b).length - headerLine.split(a).length
+  )[0];
+}
+
+/**
+ * Number formats a CSV can be written in. Exports from spreadsheets in many
+ * European locales use ';' as delimiter, ',' as decimal separator and '.' or
+ * a space to group thousands ("1.234,56").
+ */
+const NUMBER_FORMATS = ['dot', 'comma'];
+
+/** Data lines inspected before the number format of a file is decided. */
+const NUMBER_FORMAT_SAMPLE_LINES = 50;
+
+/**
+ * Guesses the decimal separator from a sample of raw field values. Values
+ * such as "16,67" or "1.234,5" count for a decimal comma, "16.67" for a
+ * decimal dot; ambiguous ones ("1.234", "12") are ignored.
+ * @param {string[]} values
+ * @returns {'dot'|'comma'}
+ */
+function detectNumberFormat(values) {
+  let comma = 0, dot = 0;
+  for (const raw of values) {
+    const v = raw.trim();
+    if (/^[-+]?\d*,\d+$/.test(v) || /^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(v)) comma++;
+    else if (/^[-+]?\d*\.\d+([eE][-+]?\d+)?$/.test(v) && !/^[-+]?\d{1,3}\.\d{3}$/.test(v)) dot++;
+    else if (/^[-+]?\d{1,3}(,\d{3})+\.\d+$/.test(v)) dot++;
+  }
+  return comma > dot ? 'comma' : 'dot';
+}
+
+/**
+ * Converts one raw CSV field to a number in the given format, or NaN.
+ * Thousands separators (',' resp. '.', spaces, no-break spaces) are dropped.
+ * @param {string} raw - trimmed field
+ * @param {'dot'|'comma'} [format='dot']
+ * @returns {number}
+ */
+function parseLocaleNumber(raw, format = 'dot') {
+  const num = Number(raw);
+  if (format === 'dot') {
+    if (Number.isFinite(num) || !/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(raw)) return num;
+    return Number(raw.replace(/,/g, ''));
+  }
+  const s = raw.replace(/[\s\u00a0\u202f]/g, '');
+  if (!/^[-+]?(\d{1,3}(\.\d{3})+|\d*)(,\d+)?([eE][-+]?\d+)?$/.test(s)) return num;
+  return Number(s.replace(/\./g, '').replace(',', '.'));
+}
+
+/**
+ * Turns the split fields of one CSV line into a normalised row object.
+ * @param {string[]} headers
+ * @param {string[]} vals
+ * @param {Object|null} [schema] - PresentMon schema picked from the header
+ * @param {'dot'|'comma'} [numberFormat='dot'] - decimal separator of the file
+ * @returns {Object}
+ */
+function csvValuesToRow(headers, vals, schema = null, numberFormat = 'dot') {
+  const obj = {};
+  headers.forEach((h,i)=>{
+    const raw = vals[i]?.trim() ?? '';
+    const num = parseLocaleNumber(raw, numberFormat);
+    obj[h] = Number.isFinite(num) ? num : raw || null;
+  });
+  schema?.prepareRow?.(obj);
+  normaliseRow(obj, schema);
+  return obj;
+}
+
+/**
+ * Splits text pushed in arbitrary pieces into complete lines (any line
+ * ending). The last, possibly unfinished, line is held back until more text
+ * or end() arrives.
+ * @param {(line:string)=>void} onLine
+ * @returns {{push:(text:string)=>void, end:()=>void}}
+ */
+function createLineSplitter(onLine) {
+  let carry = '';
+  return {
+    push(text) {
+      const lines = (carry + text).split(/\r\n|\r|\n/);
+      carry = lines.pop();
+      lines.forEach(onLine);
+    },
+    end() {
+      onLine(carry);
+      carry = '';
+    }
+  };
+}
+
+/**
+ * Incremental CSV reader. Text can be pushed in arbitrary pieces (a line may
+ * be split across two pushes); every complete data line is handed to onRow
+ * as soon as it is seen. The first non‑empty line is the header; if it is a
+ * PresentMon header, columns are renamed to their canonical metric names.
+ *
+ * @param {(row:Object)=>void} onRow
+ * @param {Object} [opts]
+ * @param {(fields:string[])=>boolean} [opts.findHeader] - when given, lines are
+ *        collected as preamble until this returns true for a line's fields
+ * @param {Object} [opts.schema] - fixed schema instead of PresentMon detection;
+ *        its optional prepareRow(row) runs before normaliseRow()
+ * @param {'auto'|'dot'|'comma'} [opts.numberFormat='auto'] - decimal separator;
+ *        'auto' holds back the first data lines to detect it
+ * @returns {{push:(text:string)=>void, end:()=>void, describe:()=>Object,
+ *            preamble:()=>string[]}}
+ */
+function createCSVRowStream(onRow, { findHeader = null, schema = null, numberFormat = 'auto' } = {}) {
+  const preamble = [];
+  const fixedSchema = !!schema;
+  const sample = [];
+  let headers   = null;
+  let delimiter = ',';
+  let format    = NUMBER_FORMATS.includes(numberFormat) ? numberFormat : null;
+
+  function decideFormat() {
+    format = detectNumberFormat(sample.flat());
+    sample.forEach(vals => onRow(csvValuesToRow(headers, vals, schema, format)));
+    sample.length = 0;
+  }
+
+  function consumeLine(line) {
+    if (!line.trim()) return;
+    if (!headers) {
+      const delim  = detectDelimiter(line);
+      const fields = parseCSVLine(line, delim);
+      if (findHeader && !findHeader(fields)) {
+        preamble.push(line);
+        return;
+      }
+      delimiter = delim;
+      headers   = fields;
+      if (!fixedSchema) schema = detectPresentMonSchema(headers);
+      headers   = applySchemaToHeaders(headers, schema);
+      return;
+    }
+    const vals = parseCSVLine(line, delimiter);
+    if (format) {
+      onRow(csvValuesToRow(headers, vals, schema, format));
+      return;
+    }
+    sample.push(vals);
+    if (sample.length >= NUMBER_FORMAT_SAMPLE_LINES) decideFormat();
+  }
+
+  const lines = createLineSplitter(consumeLine);
+
+  return {
+    push: lines.push,
+    end() {
+      lines.end();
+      if (!format && headers) decideFormat();
+    },
+    /** Dataset metadata learnt from the header and the first data lines. */
+    describe() {
+      const meta = { format: 'csv' };
+      if (schema && !fixedSchema) meta.presentMonVersion = schema.version;
+      if (format === 'comma') meta.numberFormat = format;
+      return meta;
+    },
+    /** Lines seen before the header (only with opts.findHeader). */
+    preamble() {
+      return preamble.slice();
+    }
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Unreal Engine CSV profiler (-csvprofile)                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * UE csvprofiler output: a FrameTime column plus hundreds of stat columns
+ * ("GameThreadTime", "Exclusive/GameThread/…", "Ticks/…"). The last line is a
+ * list of "[key],value" pairs (platform, config, buildversion, commandline…).
+ * With [HasHeaderRowAtEnd] the authoritative header is the line before it,
+ * because stats that appeared mid‑capture only show up there.
+ * @param {string} head - first chunk of the file
+ * @returns {boolean}
+ */
+function isUnrealCsvProfile(head) {
+  const firstLine = head.split(/\r\n|\r|\n/, 1)[0];
+  const keys = parseCSVLine(firstLine, ',').map(canonKey);
+  return keys.includes('frametime') &&
+         (keys.includes('gamethreadtime') || keys.includes('renderthreadtime'));
+}
+
+/**
+ * Row stream for UE csvprofiler files, same interface as createCSVRowStream().
+ * Rows are kept as raw field arrays until end(), because the final header
+ * is only known once the metadata line has been read.
+ * @param {(row:Object)=>void} onRow
+ * @param {'auto'|'dot'|'comma'} [numberFormat='auto'] - decimal separator;
+ *        'auto' detects it from the first data lines
+ */
+function createUnrealRowStream(onRow, numberFormat = 'auto') {
+  const records = [];
+  const info    = {};
+  let headers   = null;
+  let headerAtEnd = false;
+  let format    = NUMBER_FORMATS.includes(numberFormat) ? numberFormat : null;
+
+  const lines = createLineSplitter(line => {
+    if (!line.trim()) return;
+    const fields = parseCSVLine(line, ',');
+    if (/^\[.+\]$/.test(fields[0])) {
+      for (let i = 0; i < fields.length; i += 2) {
+        const key = fields[i].replace(/^\[|\]$/g, '');
+        if (key.toLowerCase() === 'hasheaderrowatend') headerAtEnd = fields[i + 1] === '1';
+        else if (key) info[key] = fields[i + 1] ?? '';
+      }
+      return;
+    }
+    if (!headers) headers = fields;
+    else records.push(fields);
+  });
+
+  return {
+    push: lines.push,
+    end() {
+      lines.end();
+      if (!headers) return;
+      if (headerAtEnd && records.length) headers = records.pop();
+      const names = uniqueNames(headers);
+      const same  = vals => vals.length === headers.length && vals.every((v, i) => v === headers[i]);
+      if (!format) format = detectNumberFormat(records.slice(0, NUMBER_FORMAT_SAMPLE_LINES).flat());
+      records.forEach(vals => {
+        if (!same(vals)) onRow(csvValuesToRow(names, vals, null, format));
+      });
+      records.length = 0;
+    },
+    describe() {
+      const meta = { format: 'ue-csv', info };
+      if (format === 'comma') meta.numberFormat = format;
+      return meta;
+    }
+  };
+}
+
+/**
+ * Groups UE stat columns by their first path segment ("Exclusive",
+ * "Ticks", …). Columns without a path land in "Core".
+ * @param {Object[]} rows
+ * @returns {Object<string,string[]>} group → column names
+ */
+function getUnrealStatGroups(rows) {
+  const groups = {};
+  Object.keys(rows[0] || {}).forEach(col => {
+    if (col === 'FrameTime' || col === 'FPS') return;
+    const group = col.includes('/') ? col.split('/')[0] : 'Core';
+    (groups[group] || (groups[group] = [])).push(col);
+  });
+  return groups;
+}
+
+/**
+ * Drops every stat column not belonging to one of the kept groups.
+ * FrameTime / FPS are always kept.
+ * @param {Object} ds - dataset object
+ * @param {string[]} keepGroups
+ */
+function keepUnrealStatGroups(ds, keepGroups) {
+  const groups = getUnrealStatGroups(ds.rows);
+  const drop = Object.keys(groups)
+    .filter(g => !keepGroups.includes(g))
+    .flatMap(g => groups[g]);
+  if (!drop.length) return;
+  ds.rows.forEach(r => drop.forEach(col => delete r[col]));
+  ds.meta.statGroups = keepGroups.slice();
+}
+
+/**
+ * Lets the user pick which UE stat groups to keep as metrics. The previous
+ * choice is remembered in localStorage and pre‑selected next time.
+ * @param {Object} ds - dataset with meta.format === 'ue-csv'
+ */
+async function chooseUnrealStatGroups(ds) {
+  const groups = getUnrealStatGroups(ds.rows);
+  const names  = Object.keys(groups).sort((a, b) => a.localeCompare(b));
+  if (names.length < 2 || typeof window.showModal !== 'function') return;
+
+  let remembered = null;
+  try {
+    remembered = JSON.parse(localStorage.getItem('ueStatGroups') || 'null');
+  } catch (e) { /* ignore corrupt value */ }
+
+  const list = document.createElement('div');
+  list.className = 'modal-checklist';
+  names.forEach(g => {
+    const label = document.createElement('label');
+    const cb    = document.createElement('input');
+    cb.type    = 'checkbox';
+    cb.value   = g;
+    cb.checked = !remembered || remembered.includes(g) || g === 'Core';
+    label.append(cb, ` ${g} `);
+    const count = document.createElement('span');
+    count.className = 'sub';
+    count.textContent = `(${groups[g].length} columns)`;
+    label.append(count);
+    list.append(label);
+  });
+
+  const choice = await window.showModal({
+    title:   `Unreal stat groups – ${ds.name}`,
+    message: 'Choose which stat groups to keep as metrics. FrameTime is always kept.',
+    content: list,
+    buttons: [
+      { label: 'Keep all', value: 'all' },
+      { label: 'Keep selected', value: 'selected', primary: true }
+    ]
+  });
+  if (choice !== 'selected') return;
+
+  const keep = Array.from(list.querySelectorAll('input:checked')).map(cb => cb.value);
+  localStorage.setItem('ueStatGroups', JSON.stringify(keep));
+  keepUnrealStatGroups(ds, keep);
+}
+
+/* ------------------------------------------------------------------ */
+/*  MangoHud                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * MangoHud CSV logs start with a system‑info block before the real header:
+ *
+ *   os,cpu,gpu,ram,kernel,driver,cpuscheduler
+ *   Arch Linux,AMD Ryzen 7 5800X,…
+ *   --------------------FRAME METRICS--------------------
+ *   fps,frametime,cpu_load,gpu_load,…,elapsed
+ *
+ * @param {string} head - first chunk of the file
+ * @returns {boolean}
+ */
+function isMangoHudLog(head) {
+  const lines = head.split(/\r\n|\r|\n/, 4);
+  if (lines.some(l => /^-+\s*FRAME METRICS\s*-+$/i.test(l.trim()))) return true;
+  const first = lines[0].split(',').map(canonKey);
+  return first[0] === 'os' && first.includes('cpu') && first.includes('gpu');
+}
+
+/**
+ * Schema for MangoHud frame rows. The frametime unit changed between MangoHud
+ * releases (µs in old builds, ms today), so it is inferred from the first row
+ * that also carries an fps value. `elapsed` is nanoseconds since the log
+ * started and becomes TimeInSeconds.
+ * @returns {Object} schema for createCSVRowStream()
+ */
+function createMangoHudSchema() {
+  let ftScale = null;      // frametime column → ms
+
+  return {
+    version:   'mangohud',
+    frameTime: 'FrameTime',
+    columns:   {},
+    prepareRow(row) {
+      const ft = row.frametime;
+      if (typeof ft === 'number') {
+        if (ftScale == null) {
+          if (typeof row.fps === 'number' && row.fps > 0 && ft > 0) {
+            // ft * fps ≈ 1 s in the column's unit → snap to s / ms / µs / ns
+            const exp = Math.round(Math.log10((ft * row.fps) / 1000) / 3) * 3;
+            ftScale = 10 ** -exp;
+          } else if (ft > 0) {
+            ftScale = ft > 1000 ? 0.001 : 1;
+          }
+        }
+        if (ftScale != null) row.FrameTime = ft * ftScale;
+      }
+      if (typeof row.elapsed === 'number') {
+        row.TimeInSeconds = row.elapsed / 1e9;
+        delete row.elapsed;
+      }
+    }
+  };
+}
+
+/**
+ * Turns the MangoHud preamble ("key line", "value line", separators) into a
+ * plain key/value object.
+ * @param {string[]} lines
+ * @returns {Object<string,string>}
+ */
+function parseMangoHudPreamble(lines) {
+  const content = lines.filter(l => !/^-+/.test(l.trim()));
+  if (content.length < 2) return {};
+  const keys = parseCSVLine(content[0], ',');
+  const vals = parseCSVLine(content[1], ',');
+  const info = {};
+  keys.forEach((k, i) => {
+    if (k && vals[i]) info[k] = vals[i];
+  });
+  return info;
+}
+
+/**
+ * Row stream for MangoHud logs, same interface as createCSVRowStream().
+ * @param {(row:Object)=>void} onRow
+ * @param {'auto'|'dot'|'comma'} [numberFormat='auto'] - decimal separator
+ */
+function createMangoHudRowStream(onRow, numberFormat = 'auto') {
+  const csv = createCSVRowStream(onRow, {
+    numberFormat,
+    schema: createMangoHudSchema(),
+    findHeader: fields => {
+      const keys = fields.map(canonKey);
+      return keys.includes('fps') && keys.includes('frametime');
+    }
+  });
+  return {
+    ...csv,
+    describe() {
+      const { numberFormat: detected } = csv.describe();
+      const meta = { format: 'mangohud', info: parseMangoHudPreamble(csv.preamble()) };
+      if (detected) meta.numberFormat = detected;
+      return meta;
+    }
+  };
+}
+
+
+/**
+ * Parse a single CSV line, handling quoted fields with commas
+ * @param {string} line - Single line from CSV
+ * @param {string} delimiter - Delimiter character
+ * @returns {string[]} Array of field values
+ */
+function parseCSVLine(line, delimiter) {
+  const result = [];
+  let inQuotes = false;
+  let currentValue = '';
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        // Escaped quote inside a quoted field
+        currentValue += '"';
+        i++; // Skip the next quote
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      result.push(currentValue.trim());
+      currentValue = '';
+    } else {
+      currentValue += char;
+    }
+  }
+
+  // Add the last field
+  result.push(currentValue.trim());
+
+  // Remove outer quotes and unescape inner quotes
+  return result.map(val => {
+    val = val.trim();
+    if (val.startsWith('"') && val.endsWith('"')) {
+      val = val.substring(1, val.length - 1).replace(/""/g, '"');
+    }
+    return val;
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Chunked / background import                                        */
+/* ------------------------------------------------------------------ */
+
+const IMPORT_CHUNK_BYTES = 4 * 1024 * 1024;   // bytes read per slice
+const IMPORT_ROW_BATCH   = 20000;             // rows handed over per message
+
+/**
+ * Works out which importer a file needs from its name and first chunk.
+ * @param {string} fileName
+ * @param {string} head - beginning of the decoded text
+ * @returns {'csv'|'mangohud'|'ue-csv'|'cfx-json'|'chrome-trace'|'hml'|'gfxinfo'}
+ */
+function detectCaptureFormat(fileName, head) {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith('.json')) {
+    return (/^\s*\[/.test(head) || /"traceEvents"\s*:/.test(head)) ? 'chrome-trace' : 'cfx-json';
+  }
+  if (lower.endsWith('.hml') || /^00,\s.*hardware monitoring log/i.test(head)) return 'hml';
+  if (head.includes('---PROFILEDATA---')) return 'gfxinfo';
+  if (isMangoHudLog(head)) return 'mangohud';
+  if (isUnrealCsvProfile(head)) return 'ue-csv';
+  return 'csv';
+}
+
+/**
+ * Line‑based formats are parsed while the file is still being read.
+ * @param {string} format
+ * @param {(row:Object)=>void} onRow
+ * @param {Object} [options] - see getImportOptions()
+ * @returns {Object|null} a row stream, or null if the format needs the full text
+ */
+function createRowStreamFor(format, onRow, options = {}) {
+  if (format === 'csv')      return createCSVRowStream(onRow, { numberFormat: options.numberFormat });
+  if (format === 'mangohud') return createMangoHudRowStream(onRow, options.numberFormat);
+  if (format === 'ue-csv')   return createUnrealRowStream(onRow, options.numberFormat);
+  return null;
+}
+
+/**
+ * Parsers for formats that can only be read as one document.
+ * @param {string} format
+ * @param {string} text
+ * @param {string} fileName
+ * @param {Object} [options] - see getImportOptions()
+ * @returns {Array<{name:string, meta:Object, rows:Object[]}>}
+ */
+function parseWholeText(format, text, fileName, options = {}) {
+  if (format === 'cfx-json') {
+    return parseCfxJson(text, fileName, { mergeRuns: !!options.mergeCfxRuns });
+  }
+  if (format === 'chrome-trace') {
+    return parseChromeTrace(text, fileName);
+  }
+  if (format === 'hml') {
+    return [{ name: fileName, ...parseHml(text, fileName) }];
+  }
+  if (format === 'gfxinfo') {
+    return [{ name: fileName, ...parseGfxInfo(text, fileName) }];
+  }
+  return [];
+}
+
+/**
+ * Reads a File in fixed‑size slices and parses it without ever building one
+ * giant string for line‑based captures (CSV, MangoHud, UE). Document formats such
+ * as CapFrameX / trace JSON, Afterburner HML or gfxinfo dumps still need the full text, but are read slice‑wise as well
+ * so progress can be reported.
+ * Runs unchanged inside parseWorker.js and on the main thread (fallback).
+ *
+ * @param {File} file
+ * @param {Object} hooks
+ * @param {(datasetIndex:number, rows:Object[])=>void} hooks.onRows
+ * @param {(loaded:number, total:number)=>void} [hooks.onProgress]
+ * @param {()=>boolean} [hooks.isCancelled]
+ * @param {Object} [options] - see getImportOptions()
+ * @returns {Promise<Array<{name:string, meta:Object}>>} one descriptor per produced dataset
+ */
+async function streamParseFile(file, { onRows, onProgress, isCancelled } = {}, options = {}) {
+  const total   = file.size;
+  const decoder = new TextDecoder('utf-8');
+
+  let format = null;
+  let stream = null;
+  const textParts = [];
+
+  let batch = [];
+  const flush = () => {
+    if (batch.length) onRows(0, batch);
+    batch = [];
+  };
+  const onRow = row => {
+    batch.push(row);
+    if (batch.length >= IMPORT_ROW_BATCH) flush();
+  };
+  const feed = text => {
+    if (format == null) {
+      format = detectCaptureFormat(file.name, text);
+      stream = createRowStreamFor(format, onRow, options);
+    }
+    if (stream) stream.push(text); else textParts.push(text);
+  };
+
+  for (let offset = 0; offset < total; offset += IMPORT_CHUNK_BYTES) {
+    if (isCancelled?.()) {
+      const err = new Error('Import cancelled');
+      err.name = 'AbortError';
+      throw err;
+    }
+    const buf = await file.slice(offset, offset + IMPORT_CHUNK_BYTES).arrayBuffer();
+    feed(decoder.decode(buf, { stream: true }));
+    onProgress?.(Math.min(offset + IMPORT_CHUNK_BYTES, total), total);
+  }
+  feed(decoder.decode());
+
+  if (stream) {
+    stream.end();
+    flush();
+    return [{ name: file.name, meta: stream.describe() }];
+  }
+
+  const datasets = parseWholeText(format, textParts.join(''), file.name, options);
+  datasets.forEach((ds, i) => {
+    for (let r = 0; r < ds.rows.length; r += IMPORT_ROW_BATCH) {
+      onRows(i, ds.rows.slice(r, r + IMPORT_ROW_BATCH));
+    }
+  });
+  return datasets.map(({ rows, ...descriptor }) => descriptor);
+}
+
+// State of the running upload (null when idle) – used by cancelFileUpload()
+let activeImport = null;
+
+/**
+ * Reads the import options from the Dataset Management panel. The object
+ * is plain data so it can be posted to parseWorker.js.
+ * @returns {{mergeCfxRuns:boolean, multiProcessMode:string, numberFormat:string,
+ *            filenameTemplate:string, expectedDuration:number}}
+ */
+function getImportOptions() {
+  return {
+    mergeCfxRuns:     !!document.getElementById('mergeCfxRuns')?.checked,
+    multiProcessMode: document.getElementById('multiProcessMode')?.value || 'ask',
+    numberFormat:     document.getElementById('numberFormat')?.value || 'auto',
+    filenameTemplate: document.getElementById('filenameTemplate')?.value || '',
+    expectedDuration: Number(document.getElementById('expectedDuration')?.value) || 0
+  };
+}
+
+/**
+ * Parses one file in parseWorker.js. Falls back to streamParseFile() on the
+ * main thread when workers are unavailable (e.g. the page was opened from
+ * file://, where most browsers refuse to start them).
+ * @param {File} file
+ * @param {(loaded:number, total:number)=>void} onProgress
+ * @param {Object} [options] - see getImportOptions()
+ * @returns {Promise<Array<{name:string, meta:Object, rows:Object[]}>>}
+ */
+function parseFileInBackground(file, onProgress, options = {}) {
+  const buckets = [];
+  const onRows = (datasetIndex, rows) => {
+    const bucket = buckets[datasetIndex] || (buckets[datasetIndex] = []);
+    for (const r of rows) bucket.push(r);
+  };
+  const assemble = descriptors =>
+    descriptors.map((d, i) => ({ ...d, rows: buckets[i] || [] }));
+
+  const parseHere = () => streamParseFile(file, {
+    onRows,
+    onProgress,
+    isCancelled: () => !activeImport || activeImport.cancelled
+  }, options).then(assemble);
+
+  let worker;
+  try {
+    worker = new Worker('scripts/parseWorker.js');
+  } catch (err) {
+    console.warn('Web Worker unavailable, parsing on main thread:', err.message);
+    return parseHere();
+  }
+
+  return new Promise((resolve, reject) => {
+    let started = false;
+    const finish = () => {
+      worker.terminate();
+      if (activeImport) activeImport.abort = null;
+    };
+
+    activeImport.abort = () => {
+      finish();
+      const err = new Error('Import cancelled');
+      err.name = 'AbortError';
+      reject(err);
+    };
+
+    worker.onmessage = ({ data }) => {
+      started = true;
+      switch (data.type) {
+        case 'progress': onProgress(data.loaded, data.total);    break;
+        case 'rows':     onRows(data.datasetIndex, data.rows);   break;
+        case 'done':     finish(); resolve(assemble(data.datasets)); break;
+        case 'error':    finish(); reject(new Error(data.message)); break;
+      }
+    };
+
+    worker.onerror = ev => {
+      ev.preventDefault();
+      finish();
+      if (started) {
+        reject(new Error(ev.message || 'Parser worker crashed'));
+      } else {
+        console.warn('Parser worker failed to start, parsing on main thread.');
+        parseHere().then(resolve, reject);
+      }
+    };
+
+    worker.postMessage({ type: 'parse', file, options });
+  });
+}
+
+/**
+ * Shows / updates the #uploadProgress bar.
+ * @param {number|null} fraction - 0..1, or null to hide the bar
+ * @param {string} [label]
+ */
+function setUploadProgress(fraction, label = '') {
+  const container = document.getElementById('uploadProgress');
+  const info      = document.getElementById('uploadProgressInfo');
+  const text      = document.getElementById('uploadProgressLabel');
+  const hide      = fraction == null;
+
+  container?.classList.toggle('hidden', hide);
+  info?.classList.toggle('hidden', hide);
+  if (hide) return;
+
+  const bar = container?.querySelector('.progress-bar');
+  if (bar) bar.style.width = `${(Math.max(0, Math.min(1, fraction)) * 100).toFixed(1)}%`;
+  if (text) text.textContent = label;
+}
+
+/**
+ * Cancels the running upload. Datasets that already finished stay loaded.
+ */
+function cancelFileUpload() {
+  if (!activeImport) return;
+  activeImport.cancelled = true;
+  activeImport.abort?.();
+}
+
+/* ------------------------------------------------------------------ */
+/*  Compressed archives (.gz, .zip)                                    */
+/* ------------------------------------------------------------------ */
+
+// Archive members with other extensions (readme, screenshots…) are skipped
+const IMPORT_EXTENSIONS = ['.csv', '.txt', '.json', '.hml'];
+
+/**
+ * Whether a file found in a dropped or chosen folder should be imported.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isImportableFile(name) {
+  const lower = name.toLowerCase();
+  return [...IMPORT_EXTENSIONS, '.gz', '.zip'].some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Folder of a file relative to the folder that was imported, e.g.
+ * "game/config" for game/config/run1.csv. Chosen folders carry
+ * webkitRelativePath; dropped ones get importPath in main.js.
+ * @param {File} file
+ * @returns {string} '' for files that were picked one by one
+ */
+function getImportDirectory(file) {
+  const path = file.importPath || file.webkitRelativePath || '';
+  return path.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Records the folder a dataset came from: the name is prefixed with it so
+ * runs with the same file name stay apart, and every path segment becomes
+ * an info field ("Folder 1" = top level) that stats can group by.
+ * @param {Object} ds - {name, rows, meta}
+ * @param {string} dir - e.g. "game/config"
+ */
+function applyImportDirectory(ds, dir) {
+  const info = { ...ds.meta?.info };
+  dir.split('/').forEach((segment, i) => { info[`Folder ${i + 1}`] = segment; });
+  ds.name = `${dir}/${ds.name}`;
+  ds.meta = { ...ds.meta, path: dir, info };
+}
+
+/**
+ * Decompresses a blob with the browser's DecompressionStream.
+ * @param {Blob} blob
+ * @param {'gzip'|'deflate-raw'} format
+ * @returns {Promise<Blob>}
+ */
+function decompressBlob(blob, format) {
+  if (typeof DecompressionStream !== 'function') {
+    throw new Error('this browser cannot decompress archives');
+  }
+  return new Response(blob.stream().pipeThrough(new DecompressionStream(format))).blob();
+}
+
+/**
+ * Reads the central directory of a zip file. Only the directory is read;
+ * member data stays in the file until openZipEntry() is called.
+ * @param {Blob} file
+ * @returns {Promise<Array<{name:string, method:number, flags:number,
+ *          compressedSize:number, size:number, localOffset:number}>>}
+ */
+async function readZipDirectory(file) {
+  // End of central directory record: 22 bytes + a comment of up to 64 KB
+  const tailStart = Math.max(0, file.size - 22 - 0xffff);
+  const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+  let eocd = -1;
+  for (let p = tail.byteLength - 22; p >= 0; p--) {
+    if (tail.getUint32(p, true) === 0x06054b50) { eocd = p; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip archive');
+
+  const count    = tail.getUint16(eocd + 10, true);
+  const dirSize  = tail.getUint32(eocd + 12, true);
+  const dirStart = tail.getUint32(eocd + 16, true);
+  if (count === 0xffff || dirSize === 0xffffffff || dirStart === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const dir     = new DataView(await file.slice(dirStart, dirStart + dirSize).arrayBuffer());
+  const decoder = new TextDecoder();
+  const entries = [];
+  let p = 0;
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > dir.byteLength || dir.getUint32(p, true) !== 0x02014b50) {
+      throw new Error('corrupt zip directory');
+    }
+    const nameLen = dir.getUint16(p + 28, true);
+    const entry   = {
+      name:           decoder.decode(new Uint8Array(dir.buffer, p + 46, nameLen)),
+      flags:          dir.getUint16(p + 8, true),
+      method:         dir.getUint16(p + 10, true),
+      compressedSize: dir.getUint32(p + 20, true),
+      size:           dir.getUint32(p + 24, true),
+      localOffset:    dir.getUint32(p + 42, true)
+    };
+    // Sizes and offsets beyond 4 GB are only in the ZIP64 extra field
+    if ([entry.compressedSize, entry.size, entry.localOffset].includes(0xffffffff)) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    entries.push(entry);
+    p += 46 + nameLen + dir.getUint16(p + 30, true) + dir.getUint16(p + 32, true);
+  }
+  return entries;
+}
+
+/**
+ * Extracts one member found by readZipDirectory().
+ * @param {Blob} file
+ * @param {Object} entry
+ * @returns {Promise<File>}
+ */
+async function openZipEntry(file, entry) {
+  const header = new DataView(await file.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+  if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) {
+    throw new Error(`corrupt zip entry ${entry.name}`);
+  }
+  const start = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data  = file.slice(start, start + entry.compressedSize);
+  const blob  = entry.method === 0 ? data : await decompressBlob(data, 'deflate-raw');
+  return new File([blob], entry.name.split('/').pop());
+}
+
+/**
+ * Lists the captures inside a .gz or .zip upload. Each member is extracted
+ * only when its open() is called, so large batches are not held in memory
+ * all at once. Gzipped members of a zip are unpacked as well.
+ * @param {File} file
+ * @returns {Promise<Array<{name:string, dir?:string, compressedSize:number,
+ *          open:()=>Promise<File>}>|null>} null when the file is no archive
+ */
+async function listArchiveMembers(file) {
+  const lower = file.name.toLowerCase();
+
+  if (lower.endsWith('.gz')) {
+    const name = file.name.slice(0, -3);
+    return [{
+      name,
+      compressedSize: file.size,
+      open: async () => new File([await decompressBlob(file, 'gzip')], name)
+    }];
+  }
+  if (!lower.endsWith('.zip')) return null;
+
+  const members = [];
+  let skipped = 0;
+  for (const entry of await readZipDirectory(file)) {
+    const path = entry.name;
+    const base = path.split('/').pop();
+    if (!base || path.startsWith('__MACOSX/') || base.startsWith('.')) continue;
+
+    const gzipped = base.toLowerCase().endsWith('.gz');
+    const inner   = gzipped ? base.slice(0, -3) : base;
+    const known   = IMPORT_EXTENSIONS.some(ext => inner.toLowerCase().endsWith(ext));
+    if (!known || (entry.flags & 1) || (entry.method !== 0 && entry.method !== 8)) {
+      skipped++;
+      continue;
+    }
+    members.push({
+      name: inner,
+      dir:  path.slice(0, -base.length - 1),
+      compressedSize: entry.compressedSize,
+      open: async () => {
+        const member = await openZipEntry(file, entry);
+        return gzipped ? new File([await decompressBlob(member, 'gzip')], inner) : member;
+      }
+    });
+  }
+  if (skipped) {
+    window.notify?.(`Skipped ${skipped} unsupported or encrypted member(s) of ${file.name}.`, 'info');
+  }
+  return members;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Filename templates → dataset tags                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Compiles a filename template such as "{game}_{res}_{rt}_run{run}" into a
+ * regular expression over the file name without its extension. Each {field}
+ * matches the shortest text that lets the rest of the template match.
+ * @param {string} template
+ * @returns {{regex:RegExp, fields:string[]}|null} null for an empty template
+ */
+function compileFilenameTemplate(template) {
+  const fields = [];
+  const source = template.trim().split(/(\{\w+\})/).map(part => {
+    const field = part.match(/^\{(\w+)\}$/);
+    if (!field) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    fields.push(field[1]);
+    return '(.+?)';
+  }).join('');
+  return fields.length ? { regex: new RegExp(`^${source}$`, 'i'), fields } : null;
+}
+
+/**
+ * Tags parsed from a file name, e.g. "Cyberpunk_1440p_RTOn_DLSSQ_run3.csv"
+ * with "{game}_{res}_{rt}_{upscaler}_run{run}" →
+ * {game:'Cyberpunk', res:'1440p', rt:'RTOn', upscaler:'DLSSQ', run:'3'}.
+ * @param {string} fileName
+ * @param {{regex:RegExp, fields:string[]}} compiled - see compileFilenameTemplate()
+ * @returns {Object<string,string>|null} null when the name does not match
+ */
+function parseFilenameTags(fileName, compiled) {
+  const base  = fileName.split('/').pop().replace(/\.[^.]+$/, '');
+  const match = base.match(compiled.regex);
+  if (!match) return null;
+  const tags = {};
+  compiled.fields.forEach((f, i) => { tags[f] = match[i + 1]; });
+  return tags;
+}
+
+/**
+ * Every tag key/value pair on the loaded datasets, sorted.
+ * @returns {Array<[string, string]>}
+ */
+function collectDatasetTags() {
+  const seen = new Map();
+  (window.allDatasets || []).forEach(ds => {
+    Object.entries(ds.tags || {}).forEach(([k, v]) => seen.set(`${k}=${v}`, [k, v]));
+  });
+  return Array.from(seen.values()).sort((a, b) =>
+    a[0].localeCompare(b[0]) || a[1].localeCompare(b[1], undefined, { numeric: true }));
+}
+
+/**
+ * @param {Object} ds
+ * @param {string} filter - "key=value", or '' for every dataset
+ * @returns {boolean}
+ */
+function datasetMatchesTagFilter(ds, filter) {
+  if (!filter) return true;
+  const sep = filter.indexOf('=');
+  return ds.tags?.[filter.slice(0, sep)] === filter.slice(sep + 1);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Multi‑process PresentMon captures                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Splits rows by Application / ProcessID / SwapChainAddress. PresentMon run
+ * without -process_name logs every swap chain on the system (game, DWM,
+ * browser, overlays) into the same file.
+ * @param {Object[]} rows
+ * @returns {Array<{application:string, processId:*, swapChain:*, rows:Object[]}>}
+ *          groups ordered by frame count, busiest first
+ */
+function groupRowsBySwapChain(rows) {
+  const groups = new Map();
+  rows.forEach(r => {
+    const key = `${r.Application}|${r.ProcessID}|${r.SwapChainAddress}`;
+    let g = groups.get(key);
+    if (!g) {
+      g = {
+        application: r.Application ?? '(unknown)',
+        processId:   r.ProcessID,
+        swapChain:   r.SwapChainAddress,
+        rows:        []
+      };
+      groups.set(key, g);
+    }
+    g.rows.push(r);
+  });
+  return Array.from(groups.values()).sort((a, b) => b.rows.length - a.rows.length);
+}
+
+/**
+ * PresentMon writes swap chain addresses in hex, which Number() turns into
+ * plain integers – show them the way PresentMon does again.
  */
-function normaliseRow(row){
-  const map = {};
-  Object.keys(row).forEach(k => map[ canonKey(k) ] = k);
+function formatSwapChain(value) {
+  return typeof value === 'number' ? `0x${value.toString(16).toUpperCase()}` : String(value ?? '');
+}
 
-  /* FrameTime ----------------------------------------------------------- */
-  if (row.FrameTime == null){
-    for (const {key,scale} of FRAME_ALIASES){
-      const m = map[key];
-      if (m){
-        const v = Number(row[m]);
-        if (Number.isFinite(v)){
-          row.FrameTime = v * scale;
-          break;
-        }
+/**
+ * Summary table (frames, share, avg FPS, duration) for the split dialog.
+ * @param {Array} groups - from groupRowsBySwapChain()
+ * @param {number} total - total frame count
+ * @returns {HTMLTableElement}
+ */
+function buildSwapChainSummary(groups, total) {
+  const table = document.createElement('table');
+  table.className = 'enhanced-table';
+  table.innerHTML = `
+    <thead><tr>
+      <th>Application</th><th>PID</th><th>Swap chain</th>
+      <th>Frames</th><th>Share</th><th>Avg FPS</th><th>Duration</th>
+    </tr></thead>`;
+  const tbody = document.createElement('tbody');
+  groups.forEach(g => {
+    const ft  = g.rows.map(r => r.FrameTime).filter(Number.isFinite);
+    const sum = ft.reduce((a, b) => a + b, 0);
+    const cells = [
+      g.application,
+      g.processId ?? '',
+      formatSwapChain(g.swapChain),
+      g.rows.length,
+      `${((g.rows.length / total) * 100).toFixed(1)}%`,
+      sum > 0 ? (ft.length * 1000 / sum).toFixed(1) : 'N/A',
+      `${(sum / 1000).toFixed(1)} s`
+    ];
+    const tr = document.createElement('tr');
+    cells.forEach(c => {
+      const td = document.createElement('td');
+      td.textContent = c;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Turns one swap‑chain group into a dataset of its own.
+ */
+function datasetFromSwapChain(ds, g, multipleChainsInProcess) {
+  const suffix = multipleChainsInProcess ? ` ${formatSwapChain(g.swapChain)}` : '';
+  return {
+    name: `${ds.name} – ${g.application} (${g.processId})${suffix}`,
+    rows: g.rows,
+    tags: ds.tags,
+    meta: {
+      ...ds.meta,
+      info: {
+        ...(ds.meta?.info || {}),
+        Application: String(g.application),
+        ProcessID:   String(g.processId ?? ''),
+        SwapChain:   formatSwapChain(g.swapChain)
       }
     }
-  }
+  };
+}
 
-  /* FPS ----------------------------------------------------------------- */
-  if (row.FPS == null){
-    const fpsKey = map['fps'];
-    if (fpsKey && Number.isFinite(row[fpsKey])){
-      row.FPS = Number(row[fpsKey]);
-    } else if (Number.isFinite(row.FrameTime) && row.FrameTime > 0){
-      row.FPS = 1000 / row.FrameTime;           // derive from FT
-    }
+/**
+ * Detects captures with more than one Application/ProcessID/SwapChainAddress
+ * and splits them, keeps the busiest swap chain, or leaves them untouched –
+ * either as configured in the import options or by asking.
+ * @param {Object} ds
+ * @param {'ask'|'split'|'busiest'|'keep'} mode
+ * @returns {Promise<Object[]>} datasets to register
+ */
+async function splitMultiProcessDataset(ds, mode = 'ask') {
+  const sample = ds.rows[0] || {};
+  if (mode === 'keep' || !('Application' in sample || 'ProcessID' in sample || 'SwapChainAddress' in sample)) {
+    return [ds];
   }
 
-  /* Back‑fill FrameTime from FPS if still missing ---------------------- */
-  if (row.FrameTime == null && Number.isFinite(row.FPS) && row.FPS > 0){
-    row.FrameTime = 1000 / row.FPS;
+  const groups = groupRowsBySwapChain(ds.rows);
+  if (groups.length < 2) return [ds];
+
+  let choice = mode;
+  if (choice === 'ask') {
+    choice = typeof window.showModal === 'function'
+      ? await window.showModal({
+          title:   `${groups.length} swap chains in ${ds.name}`,
+          message: 'This capture mixes frames from several applications / swap chains. ' +
+                   'Statistics over the mix are not meaningful.',
+          content: buildSwapChainSummary(groups, ds.rows.length),
+          buttons: [
+            { label: 'Keep as one dataset', value: 'keep' },
+            { label: 'Keep busiest only', value: 'busiest' },
+            { label: 'Split', value: 'split', primary: true }
+          ]
+        })
+      : 'keep';
   }
+
+  const chainsPerPid = {};
+  groups.forEach(g => { chainsPerPid[g.processId] = (chainsPerPid[g.processId] || 0) + 1; });
+  const toDataset = g => datasetFromSwapChain(ds, g, chainsPerPid[g.processId] > 1);
+
+  if (choice === 'split')   return groups.map(toDataset);
+  if (choice === 'busiest') return [toDataset(groups[0])];
+  return [ds];
 }
 
+/* ------------------------------------------------------------------ */
+/*  Column mapping profiles (CSV layouts we do not recognise)          */
+/* ------------------------------------------------------------------ */
+
+/** Multipliers from a column's unit to milliseconds. */
+const COLUMN_UNITS = { s: 1000, ms: 1, 'µs': 1e-3, ns: 1e-6 };
 
 /**
- * Generic JSON‑table reader (CapFrameX today, other tools tomorrow)
- * ---------------------------------------------------------------
- *  • Detects the “per‑frame array” length (taken from MsBetweenPresents).
- *  • Copies *all* CaptureData fields that are arrays of that length.
- *  • Still runs normaliseRow() to create FrameTime / FPS aliases.
- *  • Returns an [] of plain row objects that plug into the rest of
- *    your pipeline unchanged.
+ * Identifies a CSV layout by its column names (case and surrounding spaces
+ * ignored), so a saved mapping can be found again for the next file.
+ * @param {string[]} headers
+ * @returns {string}
  */
-function parseCfxJson(text, fileName){
-  let json;
-  try{
-    json = JSON.parse(text);
-  }catch(e){
-    console.warn('Not valid JSON:', fileName);
-    return [];
-  }
-  if (!json?.Runs?.length){
-    console.warn('No Runs[] array in file:', fileName);
-    return [];
-  }
-
-  const rows = [];
-
-  json.Runs.forEach(run=>{
-    const cd = run.CaptureData ?? {};
+function getHeaderSignature(headers) {
+  return headers.map(h => h.trim().toLowerCase()).join('|');
+}
 
-    // Determine how many frames we have – fall back to longest array
-    let frames = Array.isArray(cd.MsBetweenPresents) ? cd.MsBetweenPresents.length : 0;
-    if (!frames){
-      // grab the first array length we can find
-      for (const v of Object.values(cd)){
-        if (Array.isArray(v)){ frames = v.length; break; }
-      }
-    }
-    if (!frames){ return; }   // nothing useful in this run
+/**
+ * Saved column profiles, keyed by header signature.
+ * @returns {Object<string, {name:string, frameTime:?{column:string, unit:string},
+ *          fps:?{column:string}, timestamp:?{column:string, unit:string}}>}
+ */
+function loadColumnProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem('columnProfiles') || '{}');
+  } catch (e) {
+    return {};
+  }
+}
 
-    for (let i=0; i<frames; i++){
-      const r = {};
+/**
+ * @param {string} signature - see getHeaderSignature()
+ * @param {Object} profile
+ */
+function saveColumnProfile(signature, profile) {
+  const profiles = loadColumnProfiles();
+  profiles[signature] = profile;
+  localStorage.setItem('columnProfiles', JSON.stringify(profiles));
+}
 
-      // copy every per‑frame column
-      Object.entries(cd).forEach(([key,val])=>{
-        if (Array.isArray(val) && i < val.length){
-          r[key] = val[i];
-        }
-      });
+/**
+ * Forgets every saved column profile.
+ */
+function clearColumnProfiles() {
+  const count = Object.keys(loadColumnProfiles()).length;
+  localStorage.removeItem('columnProfiles');
+  window.notify?.(count ? `Forgot ${count} column profile(s).` : 'No column profiles saved.', 'info');
+}
 
-      // un‑alias MsBetweenPresents → FrameTime (ms)
-      if (r.MsBetweenPresents != null && r.FrameTime == null){
-        r.FrameTime = r.MsBetweenPresents;      // already in ms
-      }
+/**
+ * Fills FrameTime, FPS and TimeInSeconds from the columns a profile names.
+ * Timestamps are made relative to the first row.
+ * @param {Object} ds - {name, rows, meta}
+ * @param {Object} profile - see loadColumnProfiles()
+ */
+function applyColumnProfile(ds, profile) {
+  const ftScale = COLUMN_UNITS[profile.frameTime?.unit] ?? 1;
+  const tsScale = (COLUMN_UNITS[profile.timestamp?.unit] ?? 1000) / 1000;
+  const t0 = profile.timestamp ? Number(ds.rows[0]?.[profile.timestamp.column]) : NaN;
 
-      normaliseRow(r);          // adds FPS / fills aliases & gaps
-      rows.push(r);
+  ds.rows.forEach(row => {
+    if (profile.frameTime) {
+      const ft = Number(row[profile.frameTime.column]);
+      row.FrameTime = Number.isFinite(ft) ? ft * ftScale : null;
     }
+    if (profile.fps) {
+      const fps = Number(row[profile.fps.column]);
+      row.FPS = Number.isFinite(fps) ? fps : null;
+    }
+    if (profile.timestamp && Number.isFinite(t0)) {
+      const t = Number(row[profile.timestamp.column]);
+      if (Number.isFinite(t)) row.TimeInSeconds = (t - t0) * tsScale;
+    }
+    if (!profile.frameTime && row.FPS > 0) row.FrameTime = 1000 / row.FPS;
+    if (!profile.fps && row.FrameTime > 0) row.FPS = 1000 / row.FrameTime;
   });
+  ds.meta = { ...ds.meta, columnProfile: profile.name };
+}
 
-  return rows;
+/**
+ * Unit suggested for a column from its name ("frame_us", "Time (ns)" …).
+ * @param {string} header
+ * @param {string} fallback
+ * @returns {string} a COLUMN_UNITS key
+ */
+function guessColumnUnit(header, fallback) {
+  const h = header.toLowerCase();
+  if (/(^|[^a-z])(ns|nsec|nanoseconds?)([^a-z]|$)/.test(h)) return 'ns';
+  if (/(^|[^a-z])(us|µs|usec|microseconds?)([^a-z]|$)/.test(h)) return 'µs';
+  if (/(^|[^a-z])(ms|msec|milliseconds?)([^a-z]|$)/.test(h)) return 'ms';
+  if (/(^|[^a-z])(s|sec|seconds?)([^a-z]|$)/.test(h)) return 's';
+  return fallback;
 }
 
+/**
+ * Shows a preview of an unrecognised CSV and lets the user assign its
+ * frame‑time, FPS and timestamp columns.
+ * @param {Object} ds - {name, rows, meta}
+ * @param {string[]} headers
+ * @returns {Promise<Object|null>} the new profile, or null to import as is
+ */
+async function showColumnMappingWizard(ds, headers) {
+  const preview = ds.rows.slice(0, 5);
+  const numeric = headers.filter(h => preview.some(r => Number.isFinite(r[h])));
 
+  const content = document.createElement('div');
+  content.className = 'column-mapping';
 
+  const tableWrap = document.createElement('div');
+  tableWrap.className = 'column-mapping-preview';
+  const table = document.createElement('table');
+  table.innerHTML =
+    `<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${preview.map(r =>
+      `<tr>${headers.map(h => `<td>${escapeHtml(r[h] ?? '')}</td>`).join('')}</tr>`
+    ).join('')}</tbody>`;
+  tableWrap.append(table);
+  content.append(tableWrap);
 
+  const form = document.createElement('div');
+  form.className = 'column-mapping-form';
+  content.append(form);
 
-/**
- * Reads CSV text into an array of objects, handling quoted strings, multiple delimiters, and line endings.
- * @param {string} text - The CSV file contents as a string.
- * @returns {Array<Object>} The parsed rows as an array of objects.
- */
-function parseCSV(text) {
-  text = text.replace(/\r\n|\r|\n/g, '\n').trim();
-  const lines = text.split('\n');
-  if (!lines.length) return [];
+  const makeSelect = (options, value) => {
+    const sel = document.createElement('select');
+    options.forEach(([v, label]) => sel.add(new Option(label, v)));
+    sel.value = value;
+    return sel;
+  };
+  const columnOptions = [['', '— none —'], ...numeric.map(h => [h, h])];
+  const unitOptions   = Object.keys(COLUMN_UNITS).map(u => [u, u]);
+  const addRow = (text, ...controls) => {
+    const label = document.createElement('label');
+    label.append(text, ...controls);
+    form.append(label);
+  };
 
-  const delimiter = [',','\t',';'].sort(
-    (a,b)=> lines[0].split(b).length - lines[0].split(a).length
-  )[0];
+  const find = re => numeric.find(h => re.test(h)) || '';
+  const ftGuess = find(/frame.?time|frametime|\bft\b|delta/i);
+  const tsGuess = find(/time.?stamp|elapsed|^time|qpc/i);
 
-  const headers = parseCSVLine(lines[0], delimiter);
-  return lines.slice(1).map(line => {
-    const vals = parseCSVLine(line, delimiter);
-    const obj  = {};
-    headers.forEach((h,i)=>{
-      const raw = vals[i]?.trim() ?? '';
-      const num = Number(raw);
-      obj[h] = Number.isFinite(num) ? num : raw || null;
-    });
-    normaliseRow(obj);
-    return obj;
+  const ftColumn = makeSelect(columnOptions, ftGuess);
+  const ftUnit   = makeSelect(unitOptions, guessColumnUnit(ftGuess, 'ms'));
+  const fpsColumn = makeSelect(columnOptions, find(/fps|frame.?rate/i));
+  const tsColumn = makeSelect(columnOptions, tsGuess === ftGuess ? '' : tsGuess);
+  const tsUnit   = makeSelect(unitOptions, guessColumnUnit(tsGuess, 's'));
+  ftColumn.addEventListener('change', () => { ftUnit.value = guessColumnUnit(ftColumn.value, ftUnit.value); });
+  tsColumn.addEventListener('change', () => { tsUnit.value = guessColumnUnit(tsColumn.value, tsUnit.value); });
+
+  const nameInput = document.createElement('input');
+  nameInput.type  = 'text';
+  nameInput.value = ds.name.replace(/\.[^.]+$/, '');
+
+  addRow('Frame time', ftColumn, ftUnit);
+  addRow('FPS', fpsColumn);
+  addRow('Timestamp', tsColumn, tsUnit);
+  addRow('Profile name', nameInput);
+
+  const choice = await window.showModal({
+    title:   `Map columns – ${ds.name}`,
+    message: 'No frame‑time column was recognised. Pick the columns to use; ' +
+             'the mapping is saved and applied to later files with the same header.',
+    content,
+    buttons: [
+      { label: 'Import unmapped', value: 'skip' },
+      { label: 'Apply & save', value: 'apply', primary: true }
+    ]
   });
-}
+  if (choice !== 'apply') return null;
+  if (!ftColumn.value && !fpsColumn.value) {
+    window.notify?.(`No frame time or FPS column chosen for ${ds.name}; imported without mapping.`, 'warning');
+    return null;
+  }
 
+  return {
+    name:      nameInput.value.trim() || ds.name,
+    frameTime: ftColumn.value ? { column: ftColumn.value, unit: ftUnit.value } : null,
+    fps:       fpsColumn.value ? { column: fpsColumn.value } : null,
+    timestamp: tsColumn.value ? { column: tsColumn.value, unit: tsUnit.value } : null
+  };
+}
 
 /**
- * Parse a single CSV line, handling quoted fields with commas
- * @param {string} line - Single line from CSV
- * @param {string} delimiter - Delimiter character
- * @returns {string[]} Array of field values
+ * A CSV whose header matched none of FRAME_ALIASES ends up without
+ * FrameTime. Applies the saved profile for its header, or asks for one.
+ * @param {Object} ds - {name, rows, meta}
  */
-function parseCSVLine(line, delimiter) {
-  const result = [];
-  let inQuotes = false;
-  let currentValue = '';
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+async function mapUnrecognizedColumns(ds) {
+  if (!ds.rows.length || ds.rows.slice(0, 100).some(r => Number.isFinite(r.FrameTime))) return;
 
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        // Escaped quote inside a quoted field
-        currentValue += '"';
-        i++; // Skip the next quote
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === delimiter && !inQuotes) {
-      result.push(currentValue.trim());
-      currentValue = '';
-    } else {
-      currentValue += char;
-    }
+  const headers   = Object.keys(ds.rows[0]);
+  const signature = getHeaderSignature(headers);
+  const saved     = loadColumnProfiles()[signature];
+  if (saved) {
+    applyColumnProfile(ds, saved);
+    window.notify?.(`Applied column profile "${saved.name}" to ${ds.name}.`, 'info');
+    return;
   }
+  if (typeof window.showModal !== 'function') return;
 
-  // Add the last field
-  result.push(currentValue.trim());
+  const profile = await showColumnMappingWizard(ds, headers);
+  if (!profile) return;
+  saveColumnProfile(signature, profile);
+  applyColumnProfile(ds, profile);
+}
 
-  // Remove outer quotes and unescape inner quotes
-  return result.map(val => {
-    val = val.trim();
-    if (val.startsWith('"') && val.endsWith('"')) {
-      val = val.substring(1, val.length - 1).replace(/""/g, '"');
-    }
-    return val;
-  });
+/**
+ * Format‑specific follow‑up on the main thread once a dataset has been
+ * parsed (anything that needs to ask the user).
+ * @param {Object} ds - {name, rows, meta}
+ * @param {Object} options - see getImportOptions()
+ * @returns {Promise<Object[]>} the dataset(s) to register
+ */
+async function prepareImportedDataset(ds, options) {
+  if (ds.meta?.format === 'ue-csv') {
+    await chooseUnrealStatGroups(ds);
+  }
+  if (ds.meta?.format === 'csv') {
+    await mapUnrecognizedColumns(ds);
+    return splitMultiProcessDataset(ds, options.multiProcessMode);
+  }
+  return [ds];
 }
 
 /**
- * Handles file selection event for CSV/TXT uploads,
- * reads each file, parses the data, and stores it in allDatasets.
+ * Handles file selection event for CSV/TXT/JSON uploads. Files are parsed one
+ * after another in a Web Worker, driving #uploadProgress, and each finished
+ * dataset is stored in allDatasets. Members of .gz / .zip archives are
+ * extracted and parsed like separate files; files from a chosen or dropped
+ * folder keep their sub‑folder (see applyImportDirectory()).
  */
-function handleFileUpload(e) {
-  const files = e.target.files;
+async function handleFileUpload(e) {
+  const picked = Array.from(e.target.files || []);
+  const files  = picked.filter(f => !getImportDirectory(f) || isImportableFile(f.name));
+  if (picked.length > files.length) {
+    window.notify?.(`Skipped ${picked.length - files.length} file(s) of unsupported type in the folder.`, 'info');
+  }
   if (!files.length) return;
 
+  if (activeImport) {
+    window.notify?.('An import is already running – cancel it or wait for it to finish.', 'warning');
+    return;
+  }
+
+  activeImport = { cancelled: false, abort: null };
+  const options = getImportOptions();
+
+  setUploadProgress(0, 'Waiting for the last session to load…');
+  await whenSessionRestored(); // from sessionManager.js
+
+  const totalBytes = files.reduce((s, f) => s + f.size, 0) || 1;
+  let doneBytes    = 0;
   let successCount = 0;
-  let errorCount = 0;
+  let errorCount   = 0;
+  let untagged     = 0;
+  let flagged      = 0;
+  const template   = compileFilenameTemplate(options.filenameTemplate);
+
+  setUploadProgress(0, `Reading ${files[0].name}…`);
+
+  for (const [i, file] of files.entries()) {
+    if (activeImport.cancelled) break;
+
+    let members;
+    try {
+      members = await listArchiveMembers(file);
+    } catch (error) {
+      console.error(`Error opening ${file.name}:`, error);
+      window.notify?.(`Error opening ${file.name}: ${error.message}`, 'error');
+      errorCount++;
+      doneBytes += file.size;
+      continue;
+    }
+    const sources = members || [{ name: file.name, compressedSize: file.size, open: async () => file }];
+    const fileDir = getImportDirectory(file);
+    let sourceBytes = 0;
+
+    for (const source of sources) {
+      if (activeImport.cancelled) break;
 
-  Array.from(files).forEach(file => {
-    const reader = new FileReader();
-    
-    reader.onload = ev => {
+      const label = `Reading ${source.name} (${i + 1}/${files.length})…`;
+      setUploadProgress((doneBytes + sourceBytes) / totalBytes, label);
       try {
-        const text = ev.target.result;
-        const parsedRows = file.name.toLowerCase().endsWith('.json')
-                                    ? parseCfxJson(text, file.name)
-                                    : parseCSV(text);
-        
-        if (parsedRows.length === 0) {
-          // Check if notify function exists before calling it
-          if (typeof window.notify === 'function') {
-            window.notify(`No valid data rows found in ${file.name}`, 'warning');
-          } else {
-            console.warn(`No valid data rows found in ${file.name}`);
-          }
-          errorCount++;
-          return;
-        }
+        const member   = await source.open();
+        const datasets = await parseFileInBackground(member, loaded => {
+          const share = member.size ? loaded / member.size * source.compressedSize : 0;
+          setUploadProgress((doneBytes + sourceBytes + share) / totalBytes, label);
+        }, options);
 
-        const datasetObj = {
-          name: file.name,
-          rows: parsedRows
-        };
-        window.allDatasets.push(datasetObj);
-        successCount++;
-        
-        // Only refresh if all files have been processed
-        if (successCount + errorCount === files.length) {
-          refreshDatasetLists();
-          if (typeof window.notify === 'function') {
-            window.notify(`Loaded ${successCount} file(s). ${errorCount > 0 ? errorCount + ' file(s) had errors.' : ''}`, 
-                       errorCount > 0 ? 'warning' : 'success');
-          } else {
-            console.log(`Loaded ${successCount} file(s). ${errorCount > 0 ? errorCount + ' file(s) had errors.' : ''}`);
+        const usable = datasets.filter(ds => ds.rows.length);
+        if (!usable.length) {
+          window.notify?.(`No valid data rows found in ${source.name}`, 'warning');
+          errorCount++;
+        } else {
+          const dir  = [fileDir, source.dir].filter(Boolean).join('/');
+          const tags = template && parseFilenameTags(source.name, template);
+          if (template && !tags) untagged++;
+          for (const ds of usable) {
+            if (tags) ds.tags = { ...tags };
+            if (members) ds.meta = { ...ds.meta, info: { ...ds.meta?.info, Archive: file.name } };
+            if (dir) applyImportDirectory(ds, dir);
+            const prepared = await prepareImportedDataset(ds, options);
+            prepared.forEach(p => {
+              if (auditDataset(p, options).grade === 'poor') flagged++; // from auditManager.js
+              addDataset(p);
+            });
           }
+          successCount++;
         }
       } catch (error) {
-        console.error(`Error parsing ${file.name}:`, error);
-        if (typeof window.notify === 'function') {
-          window.notify(`Error parsing ${file.name}: ${error.message}`, 'error');
-        }
+        if (error.name === 'AbortError') break;
+        console.error(`Error parsing ${source.name}:`, error);
+        window.notify?.(`Error parsing ${source.name}: ${error.message}`, 'error');
         errorCount++;
       }
-    };
-    
-    reader.onerror = () => {
-      if (typeof window.notify === 'function') {
-        window.notify(`Failed to read ${file.name}`, 'error');
-      } else {
-        console.error(`Failed to read ${file.name}`);
-      }
-      errorCount++;
-    };
-    
-    reader.readAsText(file);
+      sourceBytes += source.compressedSize;
+    }
+    doneBytes += file.size;
+  }
+
+  const cancelled = activeImport.cancelled;
+  activeImport = null;
+  setUploadProgress(null);
+
+  if (successCount) refreshDatasetLists();
+  if (untagged) {
+    window.notify?.(`${untagged} file name(s) did not match the template "${options.filenameTemplate}" and were not tagged.`, 'warning');
+  }
+
+  if (flagged) {
+    window.notify?.(`${flagged} dataset(s) have quality warnings – click a "Poor" badge for details and fixes.`, 'warning');
+  }
+
+  if (cancelled) {
+    window.notify?.(`Import cancelled. ${successCount} file(s) were loaded before cancelling.`, 'info');
+  } else {
+    window.notify?.(`Loaded ${successCount} file(s). ${errorCount > 0 ? errorCount + ' file(s) had errors.' : ''}`,
+                    errorCount > 0 ? 'warning' : 'success');
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Per‑dataset actions (buttons in #datasetList)                      */
+/* ------------------------------------------------------------------ */
+
+const FORMAT_LABELS = {
+  'csv':          'CSV (PresentMon / FrameView / generic)',
+  'mangohud':     'MangoHud CSV',
+  'ue-csv':       'Unreal Engine CSV profile',
+  'cfx-json':     'CapFrameX JSON',
+  'chrome-trace': 'Chrome / Perfetto trace',
+  'hml':          'MSI Afterburner HML',
+  'gfxinfo':      'Android gfxinfo framestats'
+};
+
+/**
+ * Capture length in seconds: the TimeInSeconds span when the rows have
+ * timestamps, otherwise the sum of all frame times.
+ * @param {Object} ds
+ * @returns {number}
+ */
+function getCaptureDuration(ds) {
+  const first = ds.rows[0]?.TimeInSeconds;
+  const last  = ds.rows[ds.rows.length - 1]?.TimeInSeconds;
+  if (Number.isFinite(first) && Number.isFinite(last) && last > first) return last - first;
+  return ds.rows.reduce((s, r) => s + (Number.isFinite(r.FrameTime) ? r.FrameTime : 0), 0) / 1000;
+}
+
+/**
+ * Asks for a new name and renames the dataset everywhere it is shown.
+ * @param {string} id
+ */
+async function renameDataset(id) {
+  const ds = getDatasetById(id);
+  if (!ds) return;
+
+  const input = document.createElement('input');
+  input.type  = 'text';
+  input.value = ds.name;
+  input.className = 'modal-input';
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') input.closest('.modal')?.querySelector('.modal-actions button:last-child')?.click();
+  });
+  setTimeout(() => input.select(), 0);
+
+  const choice = await window.showModal({
+    title:   'Rename dataset',
+    content: input,
+    buttons: [
+      { label: 'Cancel', value: null },
+      { label: 'Rename', value: 'rename', primary: true }
+    ]
+  });
+  const name = input.value.trim();
+  if (choice !== 'rename' || !name || name === ds.name) return;
+
+  ds.name = name;
+  refreshDatasetLists();
+}
+
+/**
+ * Removes one dataset after confirmation. Charts, stats and tests that
+ * used it are updated through the datasetsUpdated event.
+ * @param {string} id
+ */
+async function deleteDataset(id) {
+  const ds = getDatasetById(id);
+  if (!ds) return;
+
+  const choice = await window.showModal({
+    title:   'Remove dataset',
+    message: `Remove "${ds.name}" (${ds.rows.length} rows)? This cannot be undone.`,
+    buttons: [
+      { label: 'Cancel', value: null },
+      { label: 'Remove', value: 'remove', primary: true }
+    ]
+  });
+  if (choice !== 'remove') return;
+
+  window.allDatasets.splice(window.allDatasets.indexOf(ds), 1);
+  refreshDatasetLists();
+  window.notify?.(`Removed ${ds.name}.`, 'info');
+}
+
+/**
+ * Inserts an independent copy of a dataset right after the original, e.g.
+ * to clean or trim one copy while keeping the raw capture.
+ * @param {string} id
+ */
+function duplicateDataset(id) {
+  const ds = getDatasetById(id);
+  if (!ds) return;
+
+  const copy = {
+    name: `${ds.name} (copy)`,
+    rows: ds.rows.map(r => ({ ...r })),
+    meta: structuredClone(ds.meta || {}),
+    ...(ds.tags ? { tags: { ...ds.tags } } : {})
+  };
+  addDataset(copy, window.allDatasets.indexOf(ds) + 1);
+  refreshDatasetLists();
+}
+
+/**
+ * Shows what is known about a dataset: source format, frame count and
+ * duration, columns, detected metrics, tags and metadata.
+ * @param {string} id
+ */
+function inspectDataset(id) {
+  const ds = getDatasetById(id);
+  if (!ds) return;
+
+  const columns = new Set();
+  ds.rows.slice(0, 50).forEach(r => Object.keys(r).forEach(k => columns.add(k)));
+  const metrics = Array.from(getNumericColumns(ds)).sort((a, b) => a.localeCompare(b));
+  const { format, info, units, ...other } = ds.meta || {};
+  const drops = getDropStats(ds); // from statsManager.js
+
+  const rows = [
+    ['Format',   FORMAT_LABELS[format] || format || 'unknown'],
+    ['Frames',   ds.rows.length.toLocaleString()],
+    ['Duration', `${getCaptureDuration(ds).toFixed(2)} s`],
+    ['Dropped frames', drops
+      ? `${drops.dropped.toLocaleString()} of ${drops.presented.toLocaleString()} (${formatNumber(drops.dropRate, 2)}%)`
+      : 'unknown (no Dropped / display columns)'],
+    ['Columns',  Array.from(columns).join(', ')],
+    ['Metrics',  metrics.map(m => {
+      const unit = getMetricUnit(m);
+      return unit ? `${m} (${unit})` : m;
+    }).join(', ')]
+  ];
+  (ds.meta?.transforms || []).forEach((t, i) => {
+    rows.push([`Transform ${i + 1}`, describeTransform(t)]); // from transformManager.js
   });
+  (ds.meta?.computedColumns || []).forEach(c => rows.push([`Computed: ${c.name}`, c.expression]));
+  Object.entries(ds.tags || {}).forEach(([k, v]) => rows.push([`Tag: ${k}`, v]));
+  Object.entries(other).forEach(([k, v]) => {
+    if (v != null && typeof v !== 'object') rows.push([k, String(v)]);
+  });
+  Object.entries(info || {}).forEach(([k, v]) => rows.push([k, v]));
+
+  const table = document.createElement('table');
+  table.className = 'inspector-table';
+  table.innerHTML = rows
+    .map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join('');
+
+  window.showModal({ title: ds.name, content: table });
+}
+
+// Metadata keys shown next to a dataset name, most telling first
+const INFO_SUMMARY_KEYS = [
+  'GameName', 'game', 'package', 'process', 'Processor', 'cpu', 'GPU', 'gpu',
+  'platform', 'Resolution', 'Comment'
+];
+
+/**
+ * Short "Game · CPU · GPU" style summary of a dataset's metadata.
+ * @param {Object<string,string>} info
+ * @returns {string}
+ */
+function summarizeDatasetInfo(info) {
+  return INFO_SUMMARY_KEYS
+    .filter(k => info[k])
+    .slice(0, 3)
+    .map(k => info[k])
+    .join(' · ');
+}
+
+/**
+ * Escapes text coming from files before it is put into innerHTML.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
@@ -286,7 +2250,31 @@ function refreshDatasetLists() {
   // Show list in the "Uploaded Datasets" panel
   const ul = document.getElementById('datasetList');
   ul.innerHTML = window.allDatasets
-    .map(ds => `<li>${ds.name} (${ds.rows.length} rows)</li>`)
+    .map(ds => {
+      const info    = ds.meta?.info || {};
+      const title   = Object.entries(info).map(([k, v]) => `${k}: ${v}`).join('\n');
+      const summary = summarizeDatasetInfo(info);
+      const tags    = Object.entries(ds.tags || {})
+        .map(([k, v]) => `<span class="dataset-tag">${escapeHtml(k)}=${escapeHtml(v)}</span>`)
+        .join('');
+      const drops   = getDropStats(ds); // from statsManager.js
+      const dropped = drops
+        ? ` <span class="dataset-drops${drops.dropped ? ' has-drops' : ''}" title="${drops.dropped} of ${drops.presented} presented frames were not displayed">` +
+          `${formatNumber(drops.dropRate, 1)}% dropped</span>`
+        : '';
+      return `<li data-id="${ds.id}" title="${escapeHtml(title)}">` +
+             renderAuditBadge(ds) + // from auditManager.js
+             `<span class="dataset-label">${escapeHtml(ds.name)} (${ds.rows.length} rows)` +
+             dropped +
+             (summary ? ` <span class="dataset-meta">${escapeHtml(summary)}</span>` : '') +
+             tags + `</span>` +
+             `<span class="dataset-actions">` +
+             `<button data-action="inspect" title="Inspect">ⓘ</button>` +
+             `<button data-action="rename" title="Rename">✎</button>` +
+             `<button data-action="duplicate" title="Duplicate">⧉</button>` +
+             `<button data-action="delete" title="Remove">×</button>` +
+             `</span></li>`;
+    })
     .join('');
 
   // Enable or disable "Clear All" button
@@ -330,6 +2318,38 @@ function detectAvailableMetrics() {
   return Array.from(metrics);
 }
 
+/**
+ * Numeric, non‑blacklisted columns of a dataset (looking across a few rows).
+ * FrameTime / FPS are included whenever they could be derived.
+ * @param {Object} ds
+ * @returns {Set<string>}
+ */
+function getNumericColumns(ds) {
+  if (!ds?.rows?.length) return new Set();
+  const cols = Object.keys(ds.rows[0] || {});
+  const numeric = new Set();
+  cols.forEach(col => {
+    // skip blacklisted
+    if (METRIC_BLACKLIST.has(col)) return;
+    // probe up to first 15 rows to see if any numeric value appears
+    for (let i = 0; i < Math.min(15, ds.rows.length); i++) {
+      const v = ds.rows[i][col];
+      if (v === null || v === '' || v === undefined) continue;
+      const num = Number(v);
+      if (Number.isFinite(num)) {
+        numeric.add(col);
+        break;
+      }
+    }
+  });
+  // Computed columns may be missing from the first rows (e.g. lag())
+  (ds.meta?.computedColumns || []).forEach(c => numeric.add(c.name));
+  // Make sure FrameTime / FPS appear if derived
+  if (ds.rows.some(r => Number.isFinite(r.FrameTime))) numeric.add('FrameTime');
+  if (ds.rows.some(r => Number.isFinite(r.FPS)))       numeric.add('FPS');
+  return numeric;
+}
+
 /**
  * Build metric list based on selected datasets.
  * - If no dataset selected: union of all numeric columns (still respects basic vs advanced).
@@ -344,50 +2364,25 @@ function updateMetricDropdowns() {
   const statsMetricGroup = document.getElementById('statMetricsGroup');
   const dsSelect = document.getElementById('datasetSelect');
 
-  // Helper: collect numeric columns from a dataset (looking across a few rows)
-  function numericColumns(ds) {
-    if (!ds?.rows?.length) return new Set();
-    const cols = Object.keys(ds.rows[0] || {});
-    const numeric = new Set();
-    cols.forEach(col => {
-      // skip blacklisted
-      if (METRIC_BLACKLIST.has(col)) return;
-      // probe up to first 15 rows to see if any numeric value appears
-      for (let i = 0; i < Math.min(15, ds.rows.length); i++) {
-        const v = ds.rows[i][col];
-        if (v === null || v === '' || v === undefined) continue;
-        const num = Number(v);
-        if (Number.isFinite(num)) {
-          numeric.add(col);
-          break;
-        }
-      }
-    });
-    // Make sure FrameTime / FPS appear if derived
-    if (ds.rows.some(r => Number.isFinite(r.FrameTime))) numeric.add('FrameTime');
-    if (ds.rows.some(r => Number.isFinite(r.FPS)))       numeric.add('FPS');
-    return numeric;
-  }
-
   // Determine selection
-  const selectedIdxs = dsSelect
-    ? Array.from(dsSelect.selectedOptions).map(o => +o.value)
+  const selectedIds = dsSelect
+    ? Array.from(dsSelect.selectedOptions).map(o => o.value)
     : [];
 
   let metrics;
 
-  if (!selectedIdxs.length) {
+  if (!selectedIds.length) {
     // UNION
     const union = new Set();
     (window.allDatasets || []).forEach(ds => {
-      numericColumns(ds).forEach(c => union.add(c));
+      getNumericColumns(ds).forEach(c => union.add(c));
     });
     metrics = Array.from(union);
   } else {
     // INTERSECTION
     let inter = null;
-    selectedIdxs.forEach(idx => {
-      const cols = numericColumns(window.allDatasets[idx]);
+    selectedIds.forEach(id => {
+      const cols = getNumericColumns(getDatasetById(id));
       if (inter == null) {
         inter = new Set(cols);
       } else {
@@ -397,9 +2392,11 @@ function updateMetricDropdowns() {
     metrics = inter ? Array.from(inter) : [];
   }
 
-  // Basic vs advanced mode: if basic, restrict to FrameTime & FPS only (if present)
+  // Basic vs advanced mode: if basic, restrict to FrameTime & FPS (if present)
+  // and the columns the user computed
   if (!window.showAdvancedMetrics) {
-    metrics = metrics.filter(m => m === 'FrameTime' || m === 'FPS');
+    const computed = new Set(window.allDatasets.flatMap(ds => (ds.meta?.computedColumns || []).map(c => c.name)));
+    metrics = metrics.filter(m => m === 'FrameTime' || m === 'FPS' || computed.has(m));
   }
 
   // Sort alpha for stability
@@ -452,43 +2449,104 @@ function updateMetricDropdowns() {
     sel.disabled = metrics.length === 0;
   });
 
-  if (metrics.length === 0 && selectedIdxs.length > 1) {
+  if (metrics.length === 0 && selectedIds.length > 1) {
     notify('No common numeric metrics across selected datasets.', 'warning');
   }
 }
 
 
+/**
+ * Display name and unit of every metric we know about (1.x, 2.x, FrameView).
+ * Anything not listed is shown with its raw column name.
+ */
+const METRIC_INFO = {
+  'FrameTime':                { name: 'Frame Time',                      unit: 'ms' },
+  'FPS':                      { name: 'FPS' },
+  'FrameDuration':            { name: 'Frame Duration',                  unit: 'ms' },
+  'MsBetweenPresents':        { name: 'Time Between Presents',           unit: 'ms' },
+  'MsBetweenDisplayChange':   { name: 'Time Between Display Changes',    unit: 'ms' },
+  'MsInPresentAPI':           { name: 'Time in Present API',             unit: 'ms' },
+  'MsRenderPresentLatency':   { name: 'Render-Present Latency',          unit: 'ms' },
+  'MsUntilRenderComplete':    { name: 'Time Until Render Complete',      unit: 'ms' },
+  'MsUntilDisplayed':         { name: 'Time Until Displayed',            unit: 'ms' },
+  'MsPCLatency':              { name: 'PC Latency',                      unit: 'ms' },
+  'CPUBusy':                  { name: 'CPU Busy Time',                   unit: 'ms' },
+  'CPUWait':                  { name: 'CPU Wait Time',                   unit: 'ms' },
+  'CPUUtil(%)':               { name: 'CPU Utilization',                 unit: '%'  },
+  'GPUBusy':                  { name: 'GPU Busy Time',                   unit: 'ms' },
+  'GPUWait':                  { name: 'GPU Wait Time',                   unit: 'ms' },
+  'GPU0Util(%)':              { name: 'GPU Utilization',                 unit: '%'  },
+  // PresentMon 2.x
+  'MsBetweenSimulationStart': { name: 'Time Between Simulation Starts',  unit: 'ms' },
+  'MsBetweenAppStart':        { name: 'Time Between App Starts',         unit: 'ms' },
+  'GPULatency':               { name: 'GPU Latency',                     unit: 'ms' },
+  'GPUTime':                  { name: 'GPU Time',                        unit: 'ms' },
+  'VideoBusy':                { name: 'Video Busy Time',                 unit: 'ms' },
+  'AnimationError':           { name: 'Animation Error',                 unit: 'ms' },
+  'FlipDelay':                { name: 'Flip Delay',                      unit: 'ms' },
+  'DisplayLatency':           { name: 'Display Latency',                 unit: 'ms' },
+  'DisplayedTime':            { name: 'Displayed Time',                  unit: 'ms' },
+  'ClickToPhotonLatency':     { name: 'Click-to-Photon Latency',         unit: 'ms' },
+  'AllInputToPhotonLatency':  { name: 'All Input-to-Photon Latency',     unit: 'ms' },
+  // Resampled datasets (one row per time bucket)
+  'FrameCount':               { name: 'Frames in Bucket' },
+  'FrameCountFPS':            { name: 'Frame-count FPS' },
+  'MaxFrameTime':             { name: 'Max Frame Time',                  unit: 'ms' },
+  'P50FrameTime':             { name: 'Median Frame Time',               unit: 'ms' },
+  'P95FrameTime':             { name: '95th Percentile Frame Time',      unit: 'ms' },
+  'P99FrameTime':             { name: '99th Percentile Frame Time',      unit: 'ms' },
+  // Android gfxinfo framestats
+  'InputDuration':            { name: 'Input Handling',                  unit: 'ms' },
+  'AnimationDuration':        { name: 'Animation',                       unit: 'ms' },
+  'LayoutDuration':           { name: 'Measure / Layout',                unit: 'ms' },
+  'DrawDuration':             { name: 'Draw (Record)',                   unit: 'ms' },
+  'SyncDuration':             { name: 'Sync / Upload',                   unit: 'ms' },
+  'CommandIssueDuration':     { name: 'Command Issue',                   unit: 'ms' },
+  'GPUDuration':              { name: 'GPU Work',                        unit: 'ms' },
+  'DequeueBufferDuration':    { name: 'Dequeue Buffer',                  unit: 'ms' },
+  'QueueBufferDuration':      { name: 'Queue Buffer',                    unit: 'ms' }
+};
+
 /**
  * Returns a user-friendly display name for a metric
  */
 function getMetricDisplayName(metric) {
-  // Display name mapping
-  const displayNames = {
-    'FrameTime': 'Frame Time (ms)',
-    'FPS': 'FPS',
-    'MsBetweenPresents': 'Time Between Presents (ms)',
-    'MsBetweenDisplayChange': 'Time Between Display Changes (ms)',
-    'MsInPresentAPI': 'Time in Present API (ms)',
-    'MsRenderPresentLatency': 'Render-Present Latency (ms)',
-    'MsUntilDisplayed': 'Time Until Displayed (ms)',
-    'MsPCLatency': 'PC Latency (ms)',
-    'CPUBusy': 'CPU Busy Time (ms)',
-    'CPUWait': 'CPU Wait Time (ms)',
-    'CPUUtil(%)': 'CPU Utilization (%)',
-    'GPUBusy': 'GPU Busy Time (ms)',
-    'GPUWait': 'GPU Wait Time (ms)',
-    'GPU0Util(%)': 'GPU Utilization (%)'
-  };
-  
-  return displayNames[metric] || metric;
+  const info = METRIC_INFO[metric];
+  if (!info) return metric;
+  return info.unit ? `${info.name} (${info.unit})` : info.name;
+}
+
+/**
+ * Returns the unit of a metric ('ms', '%', …) or '' when unknown.
+ */
+function getMetricUnit(metric) {
+  return METRIC_INFO[metric]?.unit || '';
 }
 
 // Expose them globally (so main.js or others can call them):
 window.clearAllDatasets = clearAllDatasets;
 window.parseCSV = parseCSV;
+window.parseHml = parseHml;
+window.parseChromeTrace = parseChromeTrace;
+window.parseGfxInfo = parseGfxInfo;
 window.handleFileUpload = handleFileUpload;
 window.refreshDatasetLists = refreshDatasetLists;
 window.detectAvailableMetrics = detectAvailableMetrics;
 window.updateMetricDropdowns = updateMetricDropdowns;
 window.getMetricDisplayName = getMetricDisplayName;
+window.getMetricUnit = getMetricUnit;
+window.detectPresentMonSchema = detectPresentMonSchema;
 window.parseCSVLine = parseCSVLine;
+window.escapeHtml = escapeHtml;
+window.streamParseFile = streamParseFile;
+window.cancelFileUpload = cancelFileUpload;
+window.addDataset = addDataset;
+window.getDatasetById = getDatasetById;
+window.getNumericColumns = getNumericColumns;
+window.renameDataset = renameDataset;
+window.deleteDataset = deleteDataset;
+window.duplicateDataset = duplicateDataset;
+window.inspectDataset = inspectDataset;
+window.clearColumnProfiles = clearColumnProfiles;
+window.collectDatasetTags = collectDatasetTags;
+window.datasetMatchesTagFilter = datasetMatchesTagFilter;
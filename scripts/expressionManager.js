@@ -0,0 +1,453 @@
+// Computed columns: per-row metrics defined by an expression such as
+// "GPUBusy / FrameTime * 100". Expressions are parsed into a tree and
+// evaluated column-wise – nothing is passed to eval() or Function().
+
+/**
+ * Element-wise functions: (…values of one row) → value.
+ * min / max with a single argument are aggregates (see EXPR_AGGREGATES).
+ */
+const EXPR_FUNCTIONS = {
+  abs:   Math.abs,
+  sqrt:  Math.sqrt,
+  log:   Math.log,
+  log10: Math.log10,
+  exp:   Math.exp,
+  round: Math.round,
+  floor: Math.floor,
+  ceil:  Math.ceil,
+  pow:   Math.pow,
+  min:   Math.min,
+  max:   Math.max,
+  clamp: (x, lo, hi) => Math.min(hi, Math.max(lo, x)),
+  if:    (cond, a, b) => (cond ? a : b)
+};
+
+/**
+ * Aggregates over the whole column, ignoring missing values:
+ * (finite values sorted ascending, …constant args) → value.
+ */
+const EXPR_AGGREGATES = {
+  mean:   s => s.reduce((a, b) => a + b, 0) / s.length,
+  median: s => calculatePercentile(s, 50), // from statsManager.js
+  sum:    s => s.reduce((a, b) => a + b, 0),
+  count:  s => s.length,
+  min:    s => s[0],
+  max:    s => s[s.length - 1],
+  stdev:  s => {
+    const m = s.reduce((a, b) => a + b, 0) / s.length;
+    return Math.sqrt(s.reduce((a, v) => a + (v - m) ** 2, 0) / Math.max(1, s.length - 1));
+  },
+  pctl:   (s, p) => calculatePercentile(s, p)
+};
+
+/**
+ * Rolling functions over the current row and the n - 1 rows before it
+ * (shorter windows at the start). The window is kept up to date as it
+ * slides, so each row costs O(n) at most instead of a sort:
+ * ({sorted, sum, sumSq} of the finite window values) → value.
+ */
+const EXPR_ROLLING = {
+  rollmean:   w => w.sum / w.sorted.length,
+  rollmedian: w => calculatePercentile(w.sorted, 50), // from statsManager.js
+  rollmin:    w => w.sorted[0],
+  rollmax:    w => w.sorted[w.sorted.length - 1],
+  rollstdev:  w => {
+    const k = w.sorted.length;
+    const m = w.sum / k;
+    return Math.sqrt(Math.max(0, w.sumSq - k * m * m) / Math.max(1, k - 1));
+  }
+};
+
+const EXPR_MAX_WINDOW = 10000;
+
+/**
+ * @param {number[]} sorted - ascending
+ * @param {number} v
+ * @returns {number} first index whose value is not below v
+ */
+function sortedIndex(sorted, v) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < v) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Splits an expression into tokens. Column names that are not plain
+ * identifiers go in brackets: [CPUUtil(%)].
+ * @param {string} src
+ * @returns {Array<{type:string, value:*, pos:number}>}
+ */
+function tokenizeExpression(src) {
+  const re = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|\[([^\]]+)\]|(<=|>=|==|!=|[-+*/%^(),<>])/y;
+  const tokens = [];
+  let pos = 0;
+  while (pos < src.length) {
+    if (/\s/.test(src[pos])) { pos++; continue; }
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`unexpected "${src[pos]}" at position ${pos + 1}`);
+    if (m[1] !== undefined)      tokens.push({ type: 'num', value: Number(m[1]), pos });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], pos });
+    else if (m[3] !== undefined) tokens.push({ type: 'column', value: m[3].trim(), pos });
+    else                         tokens.push({ type: 'op', value: m[4], pos });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parses an expression into a tree of
+ *   {type:'num', value} | {type:'column', name} | {type:'unary', op, arg}
+ *   {type:'binary', op, left, right} | {type:'call', name, args}
+ * Precedence, lowest first: comparisons, + -, * / %, unary -, ^.
+ * @param {string} src
+ * @returns {Object}
+ */
+function parseExpression(src) {
+  const tokens = tokenizeExpression(src);
+  let i = 0;
+
+  const peek   = () => tokens[i];
+  const isOp   = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const where  = () => (peek() ? `at position ${peek().pos + 1}` : 'at the end');
+  const expect = op => {
+    if (!isOp(op)) throw new Error(`expected "${op}" ${where()}`);
+    i++;
+  };
+
+  const binaryLevel = (ops, next) => () => {
+    let node = next();
+    while (isOp(...ops)) {
+      const op = tokens[i++].value;
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const t = peek();
+    if (!t) throw new Error('the expression ends too early');
+    if (t.type === 'num') { i++; return { type: 'num', value: t.value }; }
+    if (t.type === 'column') { i++; return { type: 'column', name: t.value }; }
+    if (t.type === 'name') {
+      i++;
+      if (!isOp('(')) return { type: 'column', name: t.value };
+      i++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(comparison());
+        while (isOp(',')) { i++; args.push(comparison()); }
+      }
+      expect(')');
+      return checkCall({ type: 'call', name: t.value.toLowerCase(), args }, t.pos);
+    }
+    if (isOp('(')) {
+      i++;
+      const node = comparison();
+      expect(')');
+      return node;
+    }
+    throw new Error(`unexpected "${t.value}" ${where()}`);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (isOp('^')) { i++; return { type: 'binary', op: '^', left: base, right: unary() }; }
+    return base;
+  };
+  const unary = () => {
+    if (isOp('-', '+')) {
+      const op = tokens[i++].value;
+      return { type: 'unary', op, arg: unary() };
+    }
+    return power();
+  };
+  const multiplicative = binaryLevel(['*', '/', '%'], unary);
+  const additive       = binaryLevel(['+', '-'], multiplicative);
+  const comparison     = binaryLevel(['<', '>', '<=', '>=', '==', '!='], additive);
+
+  const tree = comparison();
+  if (peek()) throw new Error(`unexpected "${peek().value}" ${where()}`);
+  return tree;
+}
+
+/**
+ * Validates a function call's name and argument count while parsing.
+ * @param {Object} node
+ * @param {number} pos
+ * @returns {Object} node
+ */
+function checkCall(node, pos) {
+  const { name, args } = node;
+  const fail = msg => { throw new Error(`${name}() at position ${pos + 1}: ${msg}`); };
+  const constant = a => a.type === 'num' || (a.type === 'unary' && a.arg.type === 'num');
+
+  if (name in EXPR_ROLLING || name === 'lag') {
+    if (args.length !== 2 && !(name === 'lag' && args.length === 1)) fail('expects (column, rows)');
+    if (args[1] && !constant(args[1])) fail('the window must be a number');
+  } else if ((name === 'min' || name === 'max') && args.length === 1) {
+    // aggregate
+  } else if (name === 'pctl') {
+    if (args.length !== 2 || !constant(args[1])) fail('expects (column, percentile)');
+  } else if (name === 'delta' || (name in EXPR_AGGREGATES && !(name in EXPR_FUNCTIONS))) {
+    if (args.length !== 1) fail('expects one argument');
+  } else if (name in EXPR_FUNCTIONS) {
+    const arity = { pow: 2, clamp: 3, if: 3 }[name];
+    if (name === 'min' || name === 'max') { if (args.length < 2) fail('expects at least two arguments'); }
+    else if (args.length !== (arity || 1)) fail(`expects ${arity || 1} argument${(arity || 1) > 1 ? 's' : ''}`);
+  } else {
+    fail('unknown function');
+  }
+  return node;
+}
+
+/**
+ * Column names an expression reads.
+ * @param {Object} tree - see parseExpression()
+ * @returns {string[]}
+ */
+function getExpressionColumns(tree) {
+  const names = new Set();
+  const walk = n => {
+    if (n.type === 'column') names.add(n.name);
+    if (n.arg) walk(n.arg);
+    if (n.left) { walk(n.left); walk(n.right); }
+    (n.args || []).forEach(walk);
+  };
+  walk(tree);
+  return Array.from(names);
+}
+
+// Functions whose result depends on the percentile definition (#percentileMethod)
+const EXPR_PERCENTILE_FUNCTIONS = new Set(['median', 'pctl', 'rollmedian']);
+
+/**
+ * @param {Object} tree - see parseExpression()
+ * @returns {boolean} whether the expression calls a percentile-based function
+ */
+function usesPercentiles(tree) {
+  if (tree.type === 'call' && EXPR_PERCENTILE_FUNCTIONS.has(tree.name)) return true;
+  return [tree.arg, tree.left, tree.right, ...(tree.args || [])].some(n => n && usesPercentiles(n));
+}
+
+/**
+ * Evaluates an expression tree over every row.
+ * @param {Object} tree - see parseExpression()
+ * @param {Object[]} rows
+ * @returns {Float64Array} one value per row, NaN where it cannot be computed
+ */
+function evaluateExpression(tree, rows) {
+  const n = rows.length;
+  const filled = v => new Float64Array(n).fill(v);
+  const map = (arrays, fn) => {
+    const out = new Float64Array(n);
+    for (let r = 0; r < n; r++) out[r] = fn(...arrays.map(a => a[r]));
+    return out;
+  };
+  const constant = node => evaluate(node)[0];
+
+  const evaluate = node => {
+    switch (node.type) {
+      case 'num':
+        return filled(node.value);
+      case 'column':
+        return Float64Array.from(rows, row => {
+          const v = getMetricValue(row, node.name); // from statsManager.js
+          return typeof v === 'number' ? v : NaN;
+        });
+      case 'unary':
+        return node.op === '-' ? map([evaluate(node.arg)], a => -a) : evaluate(node.arg);
+      case 'binary': {
+        const ops = {
+          '+': (a, b) => a + b,  '-': (a, b) => a - b,
+          '*': (a, b) => a * b,  '/': (a, b) => a / b,
+          '%': (a, b) => a % b,  '^': (a, b) => a ** b,
+          '<': (a, b) => +(a < b),   '>': (a, b) => +(a > b),
+          '<=': (a, b) => +(a <= b), '>=': (a, b) => +(a >= b),
+          '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b)
+        };
+        return map([evaluate(node.left), evaluate(node.right)], ops[node.op]);
+      }
+      case 'call':
+        return evaluateCall(node);
+    }
+    throw new Error(`cannot evaluate ${node.type}`);
+  };
+
+  const evaluateCall = ({ name, args }) => {
+    if (name in EXPR_ROLLING) {
+      const values = evaluate(args[0]);
+      const size   = Math.round(constant(args[1]));
+      if (!(size >= 1 && size <= EXPR_MAX_WINDOW)) {
+        throw new Error(`${name}(): the window must be 1 to ${EXPR_MAX_WINDOW} rows`);
+      }
+      const out = new Float64Array(n);
+      const win = { sorted: [], sum: 0, sumSq: 0 };
+      for (let r = 0; r < n; r++) {
+        const v = values[r];
+        if (Number.isFinite(v)) {
+          win.sorted.splice(sortedIndex(win.sorted, v), 0, v);
+          win.sum   += v;
+          win.sumSq += v * v;
+        }
+        const old = r >= size ? values[r - size] : NaN;
+        if (Number.isFinite(old)) {
+          win.sorted.splice(sortedIndex(win.sorted, old), 1);
+          win.sum   -= old;
+          win.sumSq -= old * old;
+        }
+        out[r] = win.sorted.length ? EXPR_ROLLING[name](win) : NaN;
+      }
+      return out;
+    }
+    if (name === 'lag' || name === 'delta') {
+      const values = evaluate(args[0]);
+      const by     = args[1] ? Math.round(constant(args[1])) : 1;
+      const out    = new Float64Array(n);
+      for (let r = 0; r < n; r++) {
+        const prev = r - by >= 0 && r - by < n ? values[r - by] : NaN;
+        out[r] = name === 'lag' ? prev : values[r] - prev;
+      }
+      return out;
+    }
+    if (name in EXPR_AGGREGATES && (args.length === 1 || name === 'pctl')) {
+      const sorted = Array.from(evaluate(args[0])).filter(Number.isFinite).sort((a, b) => a - b);
+      const extra  = args.slice(1).map(constant);
+      return filled(sorted.length || name === 'count' ? EXPR_AGGREGATES[name](sorted, ...extra) : NaN);
+    }
+    return map(args.map(evaluate), EXPR_FUNCTIONS[name]);
+  };
+
+  return evaluate(tree);
+}
+
+/**
+ * Adds (or recomputes) a computed column on a dataset. Finite results are
+ * written into the rows like an imported column; the definition is kept in
+ * meta.computedColumns so it is saved with the dataset.
+ * @param {Object} ds
+ * @param {string} name
+ * @param {string} expression
+ * @returns {number} rows with a value
+ * @throws {Error} on a parse error, an unknown column or no result at all
+ */
+function addComputedColumn(ds, name, expression) {
+  const tree    = parseExpression(expression);
+  const defined = (ds.meta?.computedColumns || []).some(c => c.name === name);
+  if (!defined && ds.rows.some(r => r[name] !== undefined)) {
+    throw new Error(`"${name}" is already a column of ${ds.name}`);
+  }
+  if (getExpressionColumns(tree).includes(name)) {
+    throw new Error(`"${name}" cannot refer to itself`);
+  }
+  getExpressionColumns(tree).forEach(col => {
+    if (!ds.rows.some(r => typeof getMetricValue(r, col) === 'number')) {
+      throw new Error(`${ds.name} has no numeric column "${col}"`);
+    }
+  });
+
+  const values = evaluateExpression(tree, ds.rows);
+  const count  = values.reduce((c, v) => c + Number.isFinite(v), 0);
+  if (!count) throw new Error(`${name} has no value in any row of ${ds.name}`);
+  ds.rows.forEach((row, i) => {
+    if (Number.isFinite(values[i])) row[name] = values[i];
+    else delete row[name];
+  });
+
+  markRowsChanged(ds); // from sessionManager.js
+
+  // A redefined column keeps its place, so columns built on it still come after it
+  ds.meta = ds.meta || {};
+  const columns = ds.meta.computedColumns || [];
+  const at      = columns.findIndex(c => c.name === name);
+  ds.meta.computedColumns = at < 0
+    ? [...columns, { name, expression }]
+    : columns.map((c, i) => (i === at ? { name, expression } : c));
+  return count;
+}
+
+/**
+ * Computes the columns in meta.computedColumns again on the current rows,
+ * in the order they were defined – after the rows were trimmed, cleaned or
+ * merged, or the percentile definition changed. Columns that refer to a
+ * recomputed one are recomputed too. Columns that cannot be computed on
+ * these rows any more are removed.
+ * @param {Object} ds
+ * @param {function(Object): boolean} [which] - gets the parsed expression;
+ *        every column by default
+ * @returns {string[]} names of the removed columns
+ */
+function recomputeComputedColumns(ds, which = () => true) {
+  const changed = new Set();
+  const removed = [];
+  (ds.meta?.computedColumns || []).slice().forEach(({ name, expression }) => {
+    try {
+      const tree = parseExpression(expression);
+      if (!which(tree) && !getExpressionColumns(tree).some(col => changed.has(col))) return;
+      addComputedColumn(ds, name, expression);
+      changed.add(name);
+    } catch (err) {
+      ds.rows.forEach(r => { delete r[name]; });
+      markRowsChanged(ds); // from sessionManager.js
+      ds.meta.computedColumns = ds.meta.computedColumns.filter(c => c.name !== name);
+      changed.add(name);
+      removed.push(name);
+    }
+  });
+  return removed;
+}
+
+/**
+ * Adds the column defined in the Transform tab to every selected dataset.
+ */
+function addComputedColumnToSelected() {
+  const select     = document.getElementById('transformDatasetSelect');
+  const datasets   = Array.from(select?.selectedOptions || [], o => getDatasetById(o.value)).filter(Boolean);
+  const name       = document.getElementById('computedColumnName')?.value.trim();
+  const expression = document.getElementById('computedColumnExpression')?.value.trim();
+
+  if (!datasets.length) {
+    window.notify?.('Select the datasets to add the column to.', 'warning');
+    return;
+  }
+  if (!name || !expression) {
+    window.notify?.('Enter a column name and an expression.', 'warning');
+    return;
+  }
+
+  try {
+    parseExpression(expression);
+  } catch (err) {
+    window.notify?.(`Invalid expression: ${err.message}`, 'error');
+    return;
+  }
+
+  const failed = [];
+  datasets.forEach(ds => {
+    try {
+      addComputedColumn(ds, name, expression);
+    } catch (err) {
+      failed.push(err.message);
+    }
+  });
+
+  if (failed.length < datasets.length) {
+    refreshDatasetLists(); // from dataManager.js
+    window.notify?.(`Added ${name} to ${datasets.length - failed.length} dataset(s).`, 'success');
+  }
+  if (failed.length) {
+    window.notify?.(`Could not compute ${name}: ${failed.join('; ')}`, 'error');
+  }
+}
+
+window.parseExpression = parseExpression;
+window.evaluateExpression = evaluateExpression;
+window.getExpressionColumns = getExpressionColumns;
+window.addComputedColumn = addComputedColumn;
+window.usesPercentiles = usesPercentiles;
+window.recomputeComputedColumns = recomputeComputedColumns;
+window.addComputedColumnToSelected = addComputedColumnToSelected;
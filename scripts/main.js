@@ -75,6 +75,84 @@ document.addEventListener('DOMContentLoaded', () => {
     fileInput.addEventListener('change', handleFileUpload);  // from dataManager.js
     setupDragAndDrop(); // if you have a function for drag-and-drop
   }
+  const folderInput = document.getElementById('folderInput');
+  if (folderInput) {
+    folderInput.addEventListener('change', handleFileUpload); // from dataManager.js
+  }
+
+  // Import options are remembered across visits, like the theme
+  const importOptionInputs = document.querySelectorAll('.import-options input, .import-options select');
+  let savedImportOptions = {};
+  try {
+    savedImportOptions = JSON.parse(localStorage.getItem('importOptions') || '{}');
+  } catch (e) { /* ignore corrupt value */ }
+  importOptionInputs.forEach(input => {
+    if (input.id in savedImportOptions) {
+      if (input.type === 'checkbox') input.checked = !!savedImportOptions[input.id];
+      else input.value = savedImportOptions[input.id];
+    }
+    input.addEventListener('change', () => {
+      const current = {};
+      importOptionInputs.forEach(el => {
+        current[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+      });
+      localStorage.setItem('importOptions', JSON.stringify(current));
+    });
+  });
+
+  const cancelUploadBtn = document.getElementById('cancelUploadBtn');
+  if (cancelUploadBtn) {
+    cancelUploadBtn.addEventListener('click', cancelFileUpload); // from dataManager.js
+  }
+
+  const clearProfilesBtn = document.getElementById('clearColumnProfilesBtn');
+  if (clearProfilesBtn) {
+    clearProfilesBtn.addEventListener('click', clearColumnProfiles); // from dataManager.js
+  }
+
+  // Per-dataset buttons in the "Uploaded Datasets" list
+  const datasetList = document.getElementById('datasetList');
+  if (datasetList) {
+    datasetList.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      const id  = btn?.closest('li[data-id]')?.dataset.id;
+      if (!id) return;
+      const actions = {
+        audit:     showAuditReport,  // from auditManager.js
+        inspect:   inspectDataset,   // from dataManager.js
+        rename:    renameDataset,
+        duplicate: duplicateDataset,
+        delete:    deleteDataset
+      };
+      actions[btn.dataset.action]?.(id);
+    });
+  }
+
+  const percentileMethod = document.getElementById('percentileMethod');
+  if (percentileMethod) {
+    percentileMethod.addEventListener('change', onPercentileMethodChange); // from statsManager.js
+  }
+
+  const frameStreamSelect = document.getElementById('frameStreamSelect');
+  if (frameStreamSelect) {
+    frameStreamSelect.addEventListener('change', onFrameStreamChange); // from statsManager.js
+  }
+
+  const sessionBtn = document.getElementById('sessionManagerBtn');
+  if (sessionBtn) {
+    sessionBtn.addEventListener('click', showSessionManager); // from sessionManager.js
+  }
+
+  const saveProjectBtn = document.getElementById('saveProjectBtn');
+  if (saveProjectBtn) {
+    saveProjectBtn.addEventListener('click', saveProject); // from projectManager.js
+  }
+  const projectInput   = document.getElementById('projectInput');
+  const openProjectBtn = document.getElementById('openProjectBtn');
+  if (projectInput && openProjectBtn) {
+    openProjectBtn.addEventListener('click', () => projectInput.click());
+    projectInput.addEventListener('change', openProject); // from projectManager.js
+  }
 
   // 4. "Clear All" datasets
   const clearBtn = document.getElementById('clearAllDatasets');
@@ -180,10 +258,72 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Transform tab: trim, merge, computed columns and resampling
+  ['trimMode', 'trimUnit'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', updateTrimUI); // from transformManager.js
+  });
+  document.querySelectorAll('[data-trim-first]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      applyTrimPreset(Number(btn.dataset.trimFirst), Number(btn.dataset.trimLast)); // from transformManager.js
+    });
+  });
+  const trimBtn = document.getElementById('trimDatasetsBtn');
+  if (trimBtn) {
+    trimBtn.addEventListener('click', trimSelectedDatasets); // from transformManager.js
+  }
+  const mergeBtn = document.getElementById('mergeDatasetsBtn');
+  if (mergeBtn) {
+    mergeBtn.addEventListener('click', mergeSelectedDatasets); // from transformManager.js
+  }
+  const computedBtn = document.getElementById('addComputedColumnBtn');
+  if (computedBtn) {
+    computedBtn.addEventListener('click', addComputedColumnToSelected); // from expressionManager.js
+  }
+  const resampleBtn = document.getElementById('resampleDatasetsBtn');
+  if (resampleBtn) {
+    resampleBtn.addEventListener('click', resampleSelectedDatasets); // from transformManager.js
+  }
+
+  // Transform tab: cleaning pipeline (cleaningManager.js)
+  const cleaningRuleList = document.getElementById('cleaningRuleList');
+  if (cleaningRuleList) {
+    renderCleaningRules();
+    refreshCleaningPresets();
+    cleaningRuleList.addEventListener('change', onCleaningRuleChange);
+    cleaningRuleList.addEventListener('click', onCleaningRuleAction);
+    document.getElementById('addCleaningRuleBtn')?.addEventListener('click', addCleaningRule);
+    document.getElementById('cleaningPresetSelect')?.addEventListener('change', loadCleaningPreset);
+    document.getElementById('saveCleaningPresetBtn')?.addEventListener('click', saveCleaningPreset);
+    document.getElementById('deleteCleaningPresetBtn')?.addEventListener('click', deleteCleaningPreset);
+    document.getElementById('cleanDatasetsBtn')?.addEventListener('click', cleanSelectedDatasets);
+    document.getElementById('undoCleaningBtn')?.addEventListener('click', undoSelectedCleaning);
+    document.getElementById('transformDatasetSelect')?.addEventListener('change', onTransformSelectionChange);
+  }
+
   // 16. Register for dataset updates
   document.addEventListener('datasetsUpdated', function() {
     // This will be called whenever datasets are updated
     populateAllDatasetSelects();
+    populateGroupBySelect(); // from statsManager.js
+    syncChartWithDatasets(); // from chartManager.js – drop removed, relabel renamed
+
+    // Recompute an open stats table without removed datasets
+    if (!document.getElementById('statistics')?.classList.contains('empty-stats')) {
+      updateStatsTable(); // from statsManager.js
+    }
+
+    // Test results of a removed dataset no longer apply
+    const testResults = document.getElementById('testResults');
+    const testIds = testResults?.dataset.datasetIds?.split(' ') || [];
+    if (testIds.some(id => !getDatasetById(id))) {
+      testResults.classList.add('hidden');
+    }
+
+    // Keep the Raw Data view on an existing dataset
+    const rawSelect = document.getElementById('rawDatasetSelect');
+    if (rawSelect && !document.getElementById('raw')?.classList.contains('hidden')) {
+      window.displayRawData?.(rawSelect.value);
+    }
     
     // Update metric dropdowns based on available data
     if (typeof window.updateMetricDropdowns === 'function') {
@@ -215,6 +355,9 @@ document.addEventListener('DOMContentLoaded', () => {
   if (statsContent) {
     statsContent.classList.add('empty-stats');
   }
+
+  // Bring back the last session (datasets, chart, selections)
+  initSessions(); // from sessionManager.js
 });
 
 // Populate all dataset selection dropdowns
@@ -225,32 +368,72 @@ function populateAllDatasetSelects() {
     document.getElementById('statDatasetSelect'),
     document.getElementById('datasetASelect'),
     document.getElementById('datasetBSelect'),
-    document.getElementById('rawDatasetSelect') // Add the raw data selector
+    document.getElementById('rawDatasetSelect'), // Add the raw data selector
+    document.getElementById('transformDatasetSelect')
   ];
-  
+  const tags = collectDatasetTags(); // from dataManager.js
+
   // Clear and repopulate each select
   selectors.forEach(selector => {
     if (!selector) return;
-    
-    // Save the currently selected value if there is one
-    const currentValue = selector.value;
-    
-    // Clear existing options
-    selector.innerHTML = '';
-    
-    // Add option for each dataset
-    (window.allDatasets || []).forEach((dataset, id) => {
-      const option = document.createElement('option');
-      option.value = id;
-      option.textContent = dataset.name;
-      selector.appendChild(option);
+    const filter = getDatasetTagFilter(selector, tags);
+    populateDatasetSelect(selector, filter.value);
+  });
+}
+
+/**
+ * Fills one dataset select with the datasets matching a tag filter.
+ * @param {HTMLSelectElement} selector
+ * @param {string} filter - "key=value", or '' for all datasets
+ */
+function populateDatasetSelect(selector, filter) {
+  // Save the currently selected values if there are any
+  const selected = new Set(Array.from(selector.selectedOptions, o => o.value));
+
+  // Clear existing options
+  selector.innerHTML = '';
+
+  // Add option for each dataset
+  (window.allDatasets || []).forEach(dataset => {
+    if (!datasetMatchesTagFilter(dataset, filter)) return; // from dataManager.js
+    const option = document.createElement('option');
+    option.value = dataset.id;
+    option.textContent = dataset.name;
+    option.selected = selected.has(dataset.id);
+    selector.appendChild(option);
+  });
+}
+
+/**
+ * Returns the tag filter shown above a dataset select, creating it on first
+ * use. It lists every "key = value" tag and is hidden while no dataset has
+ * tags.
+ * @param {HTMLSelectElement} selector
+ * @param {Array<[string, string]>} tags - see collectDatasetTags()
+ * @returns {HTMLSelectElement}
+ */
+function getDatasetTagFilter(selector, tags) {
+  let filter = document.getElementById(`${selector.id}TagFilter`);
+  if (!filter) {
+    filter = document.createElement('select');
+    filter.id = `${selector.id}TagFilter`;
+    filter.className = 'dataset-tag-filter';
+    filter.setAttribute('aria-label', 'Filter datasets by tag');
+    filter.addEventListener('change', () => {
+      populateDatasetSelect(selector, filter.value);
+      selector.dispatchEvent(new Event('change'));
     });
-    
-    // Restore the previously selected value if it still exists
-    if (currentValue && selector.querySelector(`option[value="${currentValue}"]`)) {
-      selector.value = currentValue;
-    }
+    selector.before(filter);
+  }
+
+  const current = filter.value;
+  filter.innerHTML = '<option value="">All datasets</option>';
+  tags.forEach(([key, value]) => {
+    filter.add(new Option(`${key} = ${value}`, `${key}=${value}`));
   });
+  filter.value = tags.some(([k, v]) => `${k}=${v}` === current) ? current : '';
+  filter.classList.toggle('hidden', tags.length === 0);
+  return filter;
 }
 
 /**
@@ -333,10 +516,23 @@ function setupDragAndDrop() {
     dropZone.classList.remove('dragover');
   });
 
-  dropZone.addEventListener('drop', (e) => {
+  dropZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     dropZone.classList.remove('dragover');
-    const files = e.dataTransfer.files;
+    // Entries must be taken before the first await – the item list is
+    // emptied once the drop handler returns
+    const entries = Array.from(e.dataTransfer.items || [])
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+    let files = e.dataTransfer.files;
+    if (entries.some(entry => entry.isDirectory)) {
+      try {
+        files = await readDroppedEntries(entries);
+      } catch (err) {
+        notify(`Could not read the dropped folder: ${err.message}`, 'error');
+        return;
+      }
+    }
     if (files.length) {
       // Just call handleFileUpload with a pseudo-event
       handleFileUpload({ target: { files } });
@@ -344,6 +540,41 @@ function setupDragAndDrop() {
   });
 }
 
+/**
+ * Collects every file below dropped files and folders. Each file gets an
+ * importPath relative to the drop ("game/config/run1.csv"), the same form
+ * as webkitRelativePath from the folder picker.
+ * @param {FileSystemEntry[]} entries
+ * @returns {Promise<File[]>}
+ */
+async function readDroppedEntries(entries) {
+  const files = [];
+
+  const readAll = reader => new Promise((resolve, reject) => {
+    const all = [];
+    // readEntries returns at most ~100 entries per call
+    const next = () => reader.readEntries(batch => {
+      if (!batch.length) return resolve(all);
+      all.push(...batch);
+      next();
+    }, reject);
+    next();
+  });
+
+  async function visit(entry) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      file.importPath = entry.fullPath.replace(/^\//, '');
+      files.push(file);
+    } else if (entry.isDirectory) {
+      for (const child of await readAll(entry.createReader())) await visit(child);
+    }
+  }
+
+  for (const entry of entries) await visit(entry);
+  return files;
+}
+
 // If you have a notify() function for user messages, define it here:
 function notify(msg, type = 'info') {
   console.log(`[${type.toUpperCase()}] ${msg}`);
@@ -377,6 +608,78 @@ function notify(msg, type = 'info') {
 // Export notify to the global scope
 window.notify = notify;
 
+/**
+ * Shows a modal dialog and resolves with the value of the button that closed
+ * it, or null when it was dismissed (×, Escape or a click on the backdrop).
+ * @param {Object} opts
+ * @param {string} opts.title
+ * @param {string} [opts.message] - plain text shown above the content
+ * @param {Node} [opts.content] - custom body (form, checklist, table…)
+ * @param {{label:string, value:*, primary?:boolean}[]} [opts.buttons]
+ * @returns {Promise<*>}
+ */
+function showModal({ title, message = '', content = null, buttons = [{ label: 'OK', value: true, primary: true }] }) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const heading = document.createElement('div');
+    heading.className = 'control-panel-heading';
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    const closeBtn = document.createElement('span');
+    closeBtn.className = 'notification-close';
+    closeBtn.innerHTML = '&times;';
+    heading.append(h3, closeBtn);
+    dialog.append(heading);
+
+    if (message) {
+      const p = document.createElement('p');
+      p.textContent = message;
+      dialog.append(p);
+    }
+    if (content) {
+      const body = document.createElement('div');
+      body.className = 'modal-body';
+      body.append(content);
+      dialog.append(body);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    buttons.forEach(b => {
+      const btn = document.createElement('button');
+      btn.textContent = b.label;
+      if (!b.primary) btn.className = 'secondary-button';
+      btn.addEventListener('click', () => close(b.value));
+      actions.append(btn);
+    });
+    dialog.append(actions);
+
+    const onKey = e => { if (e.key === 'Escape') close(null); };
+    function close(value) {
+      document.removeEventListener('keydown', onKey);
+      overlay.remove();
+      resolve(value);
+    }
+
+    closeBtn.addEventListener('click', () => close(null));
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(null); });
+    document.addEventListener('keydown', onKey);
+
+    overlay.append(dialog);
+    document.body.append(overlay);
+    actions.querySelector('button:last-child')?.focus();
+  });
+}
+
+window.showModal = showModal;
+
 // Add a helper function to properly calculate and display stats for a dataset and metric
 window.calculateAndShowStats = function(datasetId, metric) {
   // Validate inputs
@@ -386,7 +689,7 @@ window.calculateAndShowStats = function(datasetId, metric) {
   }
   
   // Get the dataset
-  const ds = window.allDatasets[datasetId];
+  const ds = getDatasetById(datasetId);
   if (!ds) {
     console.error('Dataset not found:', datasetId);
     return;
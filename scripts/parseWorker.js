@@ -0,0 +1,31 @@
+/**
+ * Web Worker that parses uploaded captures off the main thread, so that
+ * multi‑hundred‑MB PresentMon logs don't freeze the page.
+ *
+ * It re‑uses the parsers from dataManager.js (which expects a `window`
+ * global), so there is exactly one implementation of every format.
+ *
+ * Message in : { type:'parse', file:File, options }   // see getImportOptions()
+ * Messages out: { type:'progress', loaded, total }
+ *               { type:'rows', datasetIndex, rows }
+ *               { type:'done', datasets }        // descriptors without rows
+ *               { type:'error', message }
+ *
+ * Cancelling is done by the page terminating the worker.
+ */
+self.window = self;
+importScripts('dataManager.js');
+
+self.onmessage = async ({ data }) => {
+  if (data?.type !== 'parse') return;
+
+  try {
+    const datasets = await streamParseFile(data.file, {
+      onRows: (datasetIndex, rows) => self.postMessage({ type: 'rows', datasetIndex, rows }),
+      onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total })
+    }, data.options);
+    self.postMessage({ type: 'done', datasets });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
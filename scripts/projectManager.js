@@ -0,0 +1,248 @@
+// Project files: one portable file holding a whole analysis – datasets with
+// their metadata and tags, the chart, stats selections and test setup.
+
+/*
+ * Project file layout (gzip-compressed JSON):
+ *   format            PROJECT_FORMAT
+ *   version           PROJECT_VERSION
+ *   savedAt           ISO date
+ *   percentileMethod  key of PERCENTILE_METHODS the results were viewed with (since v2)
+ *   datasets          [{id, name, meta, tags?, data: {length, columns:[{name, values, absent?}]}}]
+ *   ui                captureUiState() of sessionManager.js
+ */
+const PROJECT_FORMAT    = 'frametime-analysis-project';
+const PROJECT_VERSION   = 2;
+const PROJECT_EXTENSION = '.ftaproj';
+
+/**
+ * Upgrades a project of an older version one step at a time. The function
+ * stored under version n turns a version n project into version n + 1.
+ * Any change to the layout above bumps PROJECT_VERSION and adds its step.
+ */
+const PROJECT_MIGRATIONS = {
+  // v1 had no percentile setting: the stats table used nearest rank, while
+  // stutter, frame pacing and bootstrap results interpolated linearly. Nearest
+  // rank reproduces the stats table, the numbers projects are shared for.
+  1: project => { project.percentileMethod = 'nearest-rank'; }
+};
+
+/**
+ * Checks a project at PROJECT_VERSION against the layout above, so a
+ * damaged or hand-edited file fails here rather than halfway through
+ * restoring the workspace.
+ * @param {Object} project
+ * @returns {Object} the project
+ */
+function validateProject(project) {
+  const validColumns = data => Number.isInteger(data?.length) && Array.isArray(data.columns) &&
+    data.columns.every(c => typeof c?.name === 'string' && Array.isArray(c.values) && c.values.length === data.length);
+  if (!Array.isArray(project.datasets)) throw new Error('the project has no dataset list');
+  project.datasets.forEach((d, i) => {
+    if (d?.id == null || typeof d.name !== 'string' || !validColumns(d.data)) {
+      throw new Error(`dataset ${i + 1} of the project is damaged`);
+    }
+  });
+  if (project.ui != null && typeof project.ui !== 'object') throw new Error('the project UI state is damaged');
+  return project;
+}
+
+/**
+ * @param {Object} project - parsed project file
+ * @returns {Object} the project at PROJECT_VERSION
+ */
+function migrateProject(project) {
+  if (project?.format !== PROJECT_FORMAT || !Number.isInteger(project.version)) {
+    throw new Error('not a Frame Timing Data Analyzer project');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`the project was saved by a newer version of the app (v${project.version})`);
+  }
+  while (project.version < PROJECT_VERSION) {
+    const step = PROJECT_MIGRATIONS[project.version];
+    if (!step) throw new Error(`no migration from project v${project.version}`);
+    step(project);
+    project.version++;
+  }
+  return validateProject(project);
+}
+
+/**
+ * JSON‑safe form of encodeRows(): typed arrays become plain arrays and rows
+ * lacking a column are listed in `absent` (JSON has no undefined).
+ * @param {Object[]} rows
+ * @returns {{length:number, columns:Object[]}}
+ */
+function rowsToProjectColumns(rows) {
+  const { length, columns } = encodeRows(rows); // from sessionManager.js
+  return {
+    length,
+    columns: columns.map(({ name, values }) => {
+      const absent = [];
+      const plain  = Array.from(values, (v, i) => {
+        if (v === undefined) { absent.push(i); return null; }
+        return v;
+      });
+      return absent.length ? { name, values: plain, absent } : { name, values: plain };
+    })
+  };
+}
+
+/**
+ * Inverse of rowsToProjectColumns().
+ * @param {{length:number, columns:Object[]}} data
+ * @returns {Object[]}
+ */
+function projectColumnsToRows(data) {
+  return decodeRows({
+    length:  data.length,
+    columns: data.columns.map(({ name, values, absent }) => {
+      const copy = values.slice();
+      (absent || []).forEach(i => { copy[i] = undefined; });
+      return { name, values: copy };
+    })
+  });
+}
+
+/**
+ * The complete analysis as a project object.
+ * @returns {Object}
+ */
+function buildProject() {
+  return {
+    format:   PROJECT_FORMAT,
+    version:  PROJECT_VERSION,
+    savedAt:  new Date().toISOString(),
+    percentileMethod: getPercentileMethod(), // from statsManager.js
+    datasets: window.allDatasets.map(ds => ({
+      ...describeDataset(ds), // from sessionManager.js
+      data: rowsToProjectColumns(ds.rows)
+    })),
+    ui: captureUiState()      // from sessionManager.js
+  };
+}
+
+/**
+ * Compresses text with gzip when the browser can.
+ * @param {string} text
+ * @returns {Promise<Blob>}
+ */
+async function gzipText(text) {
+  const blob = new Blob([text], { type: 'application/json' });
+  if (typeof CompressionStream !== 'function') return blob;
+  return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+}
+
+/**
+ * Downloads the current analysis as a project file (gzip‑compressed JSON).
+ * @returns {Promise<void>}
+ */
+async function saveProject() {
+  if (!window.allDatasets.length) {
+    window.notify?.('Load some datasets before saving a project.', 'warning');
+    return;
+  }
+
+  const input = document.createElement('input');
+  input.type  = 'text';
+  input.className = 'modal-input';
+  input.value = `frametime-analysis-${new Date().toISOString().slice(0, 10)}`;
+
+  const choice = await window.showModal({
+    title:   'Save project',
+    message: 'The file contains every dataset, the chart, stats selections and test setup.',
+    content: input,
+    buttons: [
+      { label: 'Cancel', value: null },
+      { label: 'Save', value: 'save', primary: true }
+    ]
+  });
+  if (choice !== 'save') return;
+
+  const name = (input.value.trim() || 'project').replace(/[\\/:*?"<>|]/g, '_');
+  const blob = await gzipText(JSON.stringify(buildProject()));
+
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement('a');
+  a.href     = url;
+  a.download = name.endsWith(PROJECT_EXTENSION) ? name : name + PROJECT_EXTENSION;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  window.notify?.(`Saved project ${a.download}.`, 'success');
+}
+
+/**
+ * Reads a project file, gzip‑compressed or plain JSON.
+ * @param {File} file
+ * @returns {Promise<Object>} the project, migrated to PROJECT_VERSION
+ */
+async function readProjectFile(file) {
+  const head    = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+  const text    = gzipped ? await (await decompressBlob(file, 'gzip')).text() // from dataManager.js
+                          : await file.text();
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (e) {
+    throw new Error('the file is not valid JSON');
+  }
+  return migrateProject(project);
+}
+
+/**
+ * Opens a project file in a new session, so the work that was open stays
+ * available in the session manager.
+ * @param {Event} e - change event of #projectInput
+ * @returns {Promise<void>}
+ */
+async function openProject(e) {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let project;
+  try {
+    project = await readProjectFile(file);
+  } catch (err) {
+    console.error('Could not open project:', err);
+    window.notify?.(`Could not open ${file.name}: ${err.message}`, 'error');
+    return;
+  }
+
+  const datasets = project.datasets.map(({ data, ...d }) => ({ ...d, rows: projectColumnsToRows(data) }));
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  try {
+    await whenSessionRestored(); // from sessionManager.js
+    await flushSessionSave();
+    const taken = new Set((await listSessions()).map(s => s.name));
+    let name = baseName;
+    for (let n = 2; taken.has(name); n++) name = `${baseName} (${n})`;
+    setActiveSession(name);
+  } catch (err) {
+    console.warn('Opening project without session storage:', err);
+  }
+
+  // Show the numbers the author saw: the project's percentile definition
+  // wins over the local one (restoreWorkspace re-runs stats and tests)
+  const previousMethod = getPercentileMethod(); // from statsManager.js
+  const method = project.percentileMethod in PERCENTILE_METHODS ? project.percentileMethod : previousMethod;
+  const methodSelect = document.getElementById('percentileMethod');
+  if (methodSelect) methodSelect.value = method;
+  const ui = project.ui && { ...project.ui, controls: { ...project.ui.controls, percentileMethod: method } };
+
+  restoreWorkspace(datasets, ui, false); // from sessionManager.js
+  await flushSessionSave();
+  window.notify?.(`Opened project ${file.name} (${datasets.length} datasets).`, 'success');
+  if (method !== previousMethod) {
+    window.notify?.(`Percentiles switched to ${getPercentileMethodLabel(method)}, as saved in the project.`, 'info');
+  }
+}
+
+window.migrateProject = migrateProject;
+window.buildProject = buildProject;
+window.saveProject = saveProject;
+window.readProjectFile = readProjectFile;
+window.openProject = openProject;
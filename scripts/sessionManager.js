@@ -0,0 +1,513 @@
+// Sessions: the loaded datasets and the state of the UI, kept in IndexedDB
+// so a reload (or switching between analyses) does not lose any work.
+
+const SESSION_DB_NAME      = 'frametime-analysis';
+const SESSION_DB_VERSION   = 1;
+const SESSION_SAVE_DELAY   = 1500;   // ms of quiet before an autosave
+const DEFAULT_SESSION_NAME = 'Default';
+
+// Controls whose value is part of a session (multi-selects keep every selected id)
+const SESSION_CONTROL_IDS = [
+  'frameStreamSelect', 'percentileMethod', 'datasetSelect', 'metricSelect', 'chartTypeSelect', 'colorSelect', 'useValueX',
+  'statDatasetSelect', 'statGroupBySelect',
+  'testSelect', 'testMetricSelect', 'compareSelect', 'compareValue',
+  'datasetASelect', 'datasetBSelect', 'rawDatasetSelect',
+  'transformDatasetSelect', 'trimMode', 'trimUnit', 'trimStart', 'trimEnd', 'mergeMode',
+  'resampleBucket'
+];
+
+// Buttons whose click changes UI state kept in a session (see captureUiState())
+const SESSION_TRIGGER_SELECTORS = [
+  '#toggleAdvancedBtn', '#statMetricsGroup .toggle-button', '#statsTypeGroup .toggle-button',
+  '#calculateStatsBtn', '#runTestBtn', '#addToChartBtn', '#clearChartBtn', '#datasetOrderList button'
+];
+
+let sessionDbPromise  = null;
+let activeSessionName = localStorage.getItem('activeSession') || DEFAULT_SESSION_NAME;
+let sessionRestoring  = false;
+let sessionSaveTimer  = null;
+// Row arrays already stored for the active session – unchanged rows are not rewritten
+let persistedRows     = new WeakSet();
+// Settles when the restore at startup is done (see whenSessionRestored())
+let sessionRestored   = Promise.resolve();
+
+/**
+ * Opens (and on first use creates) the session database.
+ *   sessions: {name, savedAt, datasets:[{id,name,meta,tags}], ui}
+ *   rows:     {session, id, length, columns} keyed by [session, id]
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const req = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'name' });
+        if (!db.objectStoreNames.contains('rows'))     db.createObjectStore('rows', { keyPath: ['session', 'id'] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+/**
+ * @param {IDBRequest} req
+ * @returns {Promise<*>} the request's result
+ */
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * Key range covering every rows record of one session.
+ * @param {string} name
+ * @returns {IDBKeyRange}
+ */
+function sessionRowsRange(name) {
+  return IDBKeyRange.bound([name], [name, []]);
+}
+
+/**
+ * Column‑wise copy of a dataset's rows. Columns holding a finite number in
+ * every row become a Float64Array (8 bytes per value instead of an object
+ * property per row); other columns keep their values, with undefined for
+ * rows that lack the column.
+ * @param {Object[]} rows
+ * @returns {{length:number, columns:Array<{name:string, values:Float64Array|Array}>}}
+ */
+function encodeRows(rows) {
+  const names = new Set();
+  rows.forEach(r => { for (const k in r) names.add(k); });
+
+  const columns = Array.from(names).map(name => {
+    const dense = rows.every(r => typeof r[name] === 'number' && Number.isFinite(r[name]));
+    const values = dense ? new Float64Array(rows.length) : new Array(rows.length);
+    rows.forEach((r, i) => { values[i] = r[name]; });
+    return { name, values };
+  });
+  return { length: rows.length, columns };
+}
+
+/**
+ * Inverse of encodeRows().
+ * @param {{length:number, columns:Array<{name:string, values:ArrayLike<*>}>}} encoded
+ * @returns {Object[]}
+ */
+function decodeRows(encoded) {
+  const rows = Array.from({ length: encoded.length }, () => ({}));
+  encoded.columns.forEach(({ name, values }) => {
+    for (let i = 0; i < rows.length; i++) {
+      if (values[i] !== undefined) rows[i][name] = values[i];
+    }
+  });
+  return rows;
+}
+
+/**
+ * Values of the session controls, the stats toggles and what is currently
+ * shown (stats table, test result, chart).
+ * @returns {Object}
+ */
+function captureUiState() {
+  const controls = {};
+  SESSION_CONTROL_IDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (el.multiple)                 controls[id] = Array.from(el.selectedOptions, o => o.value);
+    else if (el.type === 'checkbox') controls[id] = el.checked;
+    else                             controls[id] = el.value;
+  });
+
+  const active = selector => Array.from(document.querySelectorAll(selector));
+  return {
+    controls,
+    advancedMetrics: !!window.showAdvancedMetrics,
+    statMetrics: active('#statMetricsGroup .toggle-button.active').map(b => b.dataset.metric),
+    statTypes:   active('#statsTypeGroup .toggle-button.active').map(b => b.dataset.stat),
+    statsShown:  !document.getElementById('statistics')?.classList.contains('empty-stats'),
+    testShown:   !document.getElementById('testResults')?.classList.contains('hidden'),
+    chart:       getChartState() // from chartManager.js
+  };
+}
+
+/**
+ * Sets the control values saved by captureUiState().
+ * @param {Object<string,*>} controls
+ */
+function applyControlValues(controls) {
+  Object.entries(controls || {}).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (el.multiple) {
+      Array.from(el.options).forEach(o => { o.selected = value.includes(o.value); });
+    } else if (el.type === 'checkbox') {
+      el.checked = !!value;
+    } else if (el.tagName !== 'SELECT' || Array.from(el.options).some(o => o.value === value)) {
+      el.value = value;
+    }
+  });
+}
+
+/**
+ * Restores the UI from captureUiState(), after the session's datasets are
+ * loaded: selections, toggles, chart, stats table and test result.
+ * @param {Object} ui
+ */
+function applyUiState(ui) {
+  if (!ui) return;
+
+  window.showAdvancedMetrics = !!ui.advancedMetrics;
+  const advBtn = document.getElementById('toggleAdvancedBtn');
+  if (advBtn) advBtn.textContent = window.showAdvancedMetrics ? 'Advanced Metrics ON' : 'Advanced Metrics OFF';
+
+  // Metric lists depend on the selected datasets, so set those first
+  applyControlValues(ui.controls);
+  updateMetricDropdowns(); // from dataManager.js
+  applyControlValues(ui.controls);
+  window.useValueX = !!ui.controls?.useValueX;
+  updateTestUI();          // from main.js
+  updateColorPreview();    // from main.js
+  updateTrimUI();          // from transformManager.js
+
+  document.querySelectorAll('#statMetricsGroup .toggle-button').forEach(btn => {
+    btn.classList.toggle('active', (ui.statMetrics || []).includes(btn.dataset.metric));
+  });
+  document.querySelectorAll('#statsTypeGroup .toggle-button').forEach(btn => {
+    btn.classList.toggle('active', (ui.statTypes || []).includes(btn.dataset.stat));
+  });
+
+  restoreChartState(ui.chart); // from chartManager.js
+  if (ui.statsShown) updateStatsTable();   // from statsManager.js
+  if (ui.testShown)  runStatisticalTest(); // from testManager.js
+  else document.getElementById('testResults')?.classList.add('hidden');
+
+  const rawSelect = document.getElementById('rawDatasetSelect');
+  if (rawSelect?.value) displayRawData(rawSelect.value); // from chartManager.js
+}
+
+/**
+ * Dataset fields other than rows, as stored in a session or project.
+ * @param {Object} ds
+ * @returns {{id:string, name:string, meta:Object, tags?:Object}}
+ */
+function describeDataset(ds) {
+  return {
+    id:   ds.id,
+    name: ds.name,
+    meta: ds.meta || {},
+    ...(ds.tags ? { tags: ds.tags } : {})
+  };
+}
+
+/**
+ * Writes the current datasets and UI state under a session name. Rows are
+ * only rewritten for datasets whose rows changed since the last save.
+ * @param {string} [name] - defaults to the active session
+ * @returns {Promise<void>}
+ */
+async function saveSession(name = activeSessionName) {
+  const db      = await openSessionDb();
+  const force   = name !== activeSessionName;
+  const changed = window.allDatasets.filter(ds => force || !persistedRows.has(ds.rows));
+  const encoded = changed.map(ds => ({ session: name, id: ds.id, ...encodeRows(ds.rows) }));
+
+  const tx       = db.transaction(['sessions', 'rows'], 'readwrite');
+  const sessions = tx.objectStore('sessions');
+  const rows     = tx.objectStore('rows');
+
+  sessions.put({
+    name,
+    savedAt:  Date.now(),
+    datasets: window.allDatasets.map(describeDataset),
+    ui:       captureUiState()
+  });
+  encoded.forEach(rec => rows.put(rec));
+
+  // Drop rows of datasets that were removed since the last save
+  const ids  = new Set(window.allDatasets.map(ds => ds.id));
+  const keys = await idbRequest(rows.getAllKeys(sessionRowsRange(name)));
+  keys.filter(([, id]) => !ids.has(id)).forEach(key => rows.delete(key));
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+  if (!force) changed.forEach(ds => persistedRows.add(ds.rows));
+}
+
+/**
+ * Makes the next save rewrite a dataset's rows after they were changed in
+ * place (e.g. a computed column was added).
+ * @param {Object} ds
+ */
+function markRowsChanged(ds) {
+  persistedRows.delete(ds.rows);
+  forgetAnalysisRows(ds); // from statsManager.js
+  scheduleSessionSave();
+}
+
+/**
+ * Replaces the loaded datasets and UI with a saved session.
+ * @param {string} name
+ * @returns {Promise<boolean>} false when there is no such session
+ */
+async function loadSession(name) {
+  const db = await openSessionDb();
+  const tx = db.transaction(['sessions', 'rows']);
+  const [record, rowRecords] = await Promise.all([
+    idbRequest(tx.objectStore('sessions').get(name)),
+    idbRequest(tx.objectStore('rows').getAll(sessionRowsRange(name)))
+  ]);
+  if (!record) return false;
+
+  const byId = new Map(rowRecords.map(r => [r.id, r]));
+  const datasets = record.datasets
+    .filter(d => byId.has(d.id))
+    .map(d => ({ ...d, rows: decodeRows(byId.get(d.id)) }));
+  restoreWorkspace(datasets, record.ui, true);
+  return true;
+}
+
+/**
+ * Replaces the loaded datasets and UI with those of a session or project,
+ * without autosaving the half‑restored state.
+ * @param {Object[]} datasets - {id, name, rows, meta, tags?}
+ * @param {Object} ui - see captureUiState()
+ * @param {boolean} persisted - whether the rows are already stored in the
+ *        active session
+ */
+function restoreWorkspace(datasets, ui, persisted) {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  sessionRestoring = true;
+  try {
+    clearChart(); // from chartManager.js
+    window.allDatasets.length = 0;
+    persistedRows = new WeakSet();
+    datasets.forEach(ds => {
+      if (persisted) persistedRows.add(ds.rows);
+      addDataset(ds); // from dataManager.js
+    });
+    refreshDatasetLists();
+    applyUiState(ui);
+  } finally {
+    sessionRestoring = false;
+  }
+}
+
+/**
+ * @returns {Promise<Array<{name:string, savedAt:number, datasets:Object[]}>>}
+ */
+async function listSessions() {
+  const db = await openSessionDb();
+  const sessions = await idbRequest(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function deleteSession(name) {
+  const db = await openSessionDb();
+  const tx = db.transaction(['sessions', 'rows'], 'readwrite');
+  tx.objectStore('sessions').delete(name);
+  tx.objectStore('rows').delete(sessionRowsRange(name));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+/**
+ * Makes another session the one autosave writes to.
+ * @param {string} name
+ */
+function setActiveSession(name) {
+  activeSessionName = name;
+  localStorage.setItem('activeSession', name);
+  const label = document.getElementById('activeSessionName');
+  if (label) label.textContent = name;
+}
+
+/**
+ * Saves the active session a moment after the last change.
+ */
+function scheduleSessionSave() {
+  if (sessionRestoring) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(flushSessionSave, SESSION_SAVE_DELAY);
+}
+
+/**
+ * Saves a pending autosave right away.
+ * @returns {Promise<void>}
+ */
+async function flushSessionSave() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  try {
+    await saveSession();
+  } catch (err) {
+    console.warn('Could not save the session:', err);
+  }
+}
+
+/**
+ * Restores the active session and starts autosaving. Called once from
+ * main.js after every other listener is set up.
+ * @returns {Promise<void>}
+ */
+async function initSessions() {
+  setActiveSession(activeSessionName);
+  sessionRestored = loadSession(activeSessionName);
+  try {
+    await sessionRestored;
+  } catch (err) {
+    console.warn('Session persistence unavailable:', err);
+    return;
+  }
+
+  document.addEventListener('datasetsUpdated', scheduleSessionSave);
+  SESSION_CONTROL_IDS.forEach(id => document.getElementById(id)?.addEventListener('change', scheduleSessionSave));
+  const triggers = SESSION_TRIGGER_SELECTORS.join(', ');
+  document.addEventListener('click', e => {
+    if (e.target.closest(triggers)) scheduleSessionSave();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && sessionSaveTimer) flushSessionSave();
+  });
+}
+
+/**
+ * Waits for the session restore at startup. Imports wait for it, so the
+ * restore cannot replace datasets that were uploaded meanwhile.
+ * @returns {Promise<void>} never rejects
+ */
+function whenSessionRestored() {
+  return sessionRestored.then(() => {}, () => {});
+}
+
+/**
+ * Session manager dialog: open, delete, save the current work under a new
+ * name, or start an empty session.
+ * @returns {Promise<void>}
+ */
+async function showSessionManager() {
+  let sessions;
+  try {
+    await flushSessionSave();
+    sessions = await listSessions();
+  } catch (err) {
+    window.notify?.(`Sessions are unavailable: ${err.message}`, 'error');
+    return;
+  }
+
+  const content = document.createElement('div');
+  const list = document.createElement('div');
+  list.className = 'modal-checklist';
+  sessions.forEach(s => {
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type    = 'radio';
+    radio.name    = 'sessionChoice';
+    radio.value   = s.name;
+    radio.checked = s.name === activeSessionName;
+    const info = document.createElement('span');
+    info.className = 'sub';
+    info.textContent = `(${s.datasets.length} datasets, ${new Date(s.savedAt).toLocaleString()})` +
+                       (s.name === activeSessionName ? ' – current' : '');
+    label.append(radio, ` ${s.name} `, info);
+    list.append(label);
+  });
+
+  const nameInput = document.createElement('input');
+  nameInput.type        = 'text';
+  nameInput.className   = 'modal-input';
+  nameInput.placeholder = 'Name for "Save as" / "New session"';
+  content.append(list, nameInput);
+
+  const choice = await window.showModal({
+    title:   'Sessions',
+    message: `Work is saved automatically to the current session ("${activeSessionName}").`,
+    content,
+    buttons: [
+      { label: 'Delete', value: 'delete' },
+      { label: 'New session', value: 'new' },
+      { label: 'Save as', value: 'saveAs' },
+      { label: 'Open', value: 'open', primary: true }
+    ]
+  });
+  if (!choice) return;
+
+  const selected = list.querySelector('input:checked')?.value;
+  const newName  = nameInput.value.trim();
+
+  try {
+    if (choice === 'open') {
+      if (!selected || selected === activeSessionName) return;
+      await loadSession(selected);
+      setActiveSession(selected);
+      window.notify?.(`Opened session "${selected}".`, 'success');
+    } else if (choice === 'delete') {
+      if (!selected) return;
+      if (selected === activeSessionName) {
+        window.notify?.('Open another session before deleting the current one.', 'warning');
+        return;
+      }
+      await deleteSession(selected);
+      window.notify?.(`Deleted session "${selected}".`, 'info');
+    } else if (!newName) {
+      window.notify?.('Enter a name for the session first.', 'warning');
+    } else if (sessions.some(s => s.name === newName)) {
+      window.notify?.(`A session named "${newName}" already exists.`, 'warning');
+    } else if (choice === 'saveAs') {
+      await saveSession(newName);
+      setActiveSession(newName);
+      persistedRows = new WeakSet(window.allDatasets.map(ds => ds.rows));
+      window.notify?.(`Saved as session "${newName}".`, 'success');
+    } else if (choice === 'new') {
+      sessionRestoring = true;
+      try {
+        setActiveSession(newName);
+        clearChart();
+        clearAllDatasets(); // from dataManager.js
+      } finally {
+        sessionRestoring = false;
+      }
+      await saveSession();
+      window.notify?.(`Started session "${newName}".`, 'success');
+    }
+  } catch (err) {
+    console.error('Session action failed:', err);
+    window.notify?.(`Session action failed: ${err.message}`, 'error');
+  }
+}
+
+window.encodeRows = encodeRows;
+window.decodeRows = decodeRows;
+window.captureUiState = captureUiState;
+window.applyUiState = applyUiState;
+window.describeDataset = describeDataset;
+window.saveSession = saveSession;
+window.markRowsChanged = markRowsChanged;
+window.loadSession = loadSession;
+window.restoreWorkspace = restoreWorkspace;
+window.setActiveSession = setActiveSession;
+window.flushSessionSave = flushSessionSave;
+window.listSessions = listSessions;
+window.deleteSession = deleteSession;
+window.initSessions = initSessions;
+window.whenSessionRestored = whenSessionRestored;
+window.showSessionManager = showSessionManager;
@@ -53,12 +53,217 @@ function getMetricValue(row, metric) {
   return (matchingKey && typeof row[matchingKey] === 'number') ? row[matchingKey] : null;
 }
 
+/* ---------- Presented vs displayed frames ---------- */
+
+// Displayed-frame rows and drop counts per rows array (rebuilt when rows change)
+const displayedRowsCache = new WeakMap();
+const dropStatsCache     = new WeakMap();
+
+/**
+ * Which frames stats, charts and tests use (#frameStreamSelect):
+ * 'presented' – every frame the app presented (the rows as imported)
+ * 'displayed' – only frames that reached the screen, timed by how long
+ *               each was shown
+ * @returns {'presented'|'displayed'}
+ */
+function getFrameStream() {
+  return document.getElementById('frameStreamSelect')?.value === 'displayed' ? 'displayed' : 'presented';
+}
+
+/**
+ * @param {*} v - a flag column value (1 / 0, "True" / "False", …)
+ * @returns {boolean}
+ */
+function isFlagSet(v) {
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return /^(1|true|yes)$/i.test(v.trim());
+  return v === true;
+}
+
+/**
+ * How long a frame was on screen in ms: MsBetweenDisplayChange (PresentMon
+ * 1.x) or DisplayedTime (PresentMon 2.x); null for frames never shown.
+ * @param {Object} row
+ * @returns {number|null}
+ */
+function getDisplayedFrameTime(row) {
+  for (const key of ['MsBetweenDisplayChange', 'DisplayedTime']) {
+    const v = row[key];
+    if (typeof v === 'number' && v > 0) return v;
+  }
+  return null;
+}
+
+/**
+ * Presented / displayed / dropped frame counts of a dataset, or null when
+ * the capture has no display columns (Dropped, MsBetweenDisplayChange,
+ * DisplayedTime). A frame is dropped when flagged Dropped or, if the
+ * capture has display times, when it was never on screen – the frames
+ * buildDisplayedRows() leaves out. `hasDisplayTimes` is false when only
+ * the Dropped flag is there.
+ * @param {Object} ds
+ * @returns {{presented:number, displayed:number, dropped:number, dropRate:number,
+ *            hasDisplayTimes:boolean}|null}
+ */
+function getDropStats(ds) {
+  if (dropStatsCache.has(ds.rows)) return dropStatsCache.get(ds.rows);
+
+  const sample     = ds.rows.slice(0, 50);
+  const hasDropped = sample.some(r => r.Dropped !== undefined);
+  const hasDisplay = sample.some(r => 'MsBetweenDisplayChange' in r || 'DisplayedTime' in r);
+  let stats = null;
+  if (ds.rows.length && (hasDropped || hasDisplay)) {
+    const dropped = ds.rows.filter(r => isFlagSet(r.Dropped) || (hasDisplay && getDisplayedFrameTime(r) === null)).length;
+    stats = {
+      presented:       ds.rows.length,
+      displayed:       ds.rows.length - dropped,
+      dropped,
+      dropRate:        dropped / ds.rows.length * 100,
+      hasDisplayTimes: hasDisplay
+    };
+  }
+  dropStatsCache.set(ds.rows, stats);
+  return stats;
+}
+
+/**
+ * Rebuilds the displayed-frame timeline: dropped frames are left out, the
+ * rest get FrameTime / FPS from the time they were on screen and
+ * TimeInSeconds from the running sum of those times. Without display
+ * times only the frames flagged Dropped are left out.
+ * @param {Object[]} rows
+ * @param {boolean} hasDisplayTimes
+ * @returns {Object[]}
+ */
+function buildDisplayedRows(rows, hasDisplayTimes) {
+  if (!hasDisplayTimes) return rows.filter(r => !isFlagSet(r.Dropped));
+  const t0  = rows.map(r => extractRowTimestamp(r)).find(t => t !== null) ?? 0; // from chartManager.js
+  const out = [];
+  let elapsed = 0;
+  rows.forEach(r => {
+    if (isFlagSet(r.Dropped)) return;
+    const shown = getDisplayedFrameTime(r);
+    if (shown === null) return;
+    out.push({ ...r, FrameTime: shown, FPS: 1000 / shown, TimeInSeconds: t0 + elapsed / 1000 });
+    elapsed += shown;
+  });
+  return out;
+}
+
+/**
+ * The rows stats, charts and tests should use for a dataset under the
+ * current frame stream. Datasets without display columns always use their
+ * presented frames; with only a Dropped flag, the presented frames that
+ * were not dropped.
+ * @param {Object} ds
+ * @returns {Object[]}
+ */
+function getAnalysisRows(ds) {
+  const drops = getFrameStream() === 'displayed' && getDropStats(ds);
+  if (!drops) return ds.rows;
+  if (!displayedRowsCache.has(ds.rows)) displayedRowsCache.set(ds.rows, buildDisplayedRows(ds.rows, drops.hasDisplayTimes));
+  return displayedRowsCache.get(ds.rows);
+}
+
+/**
+ * Drops cached displayed rows and drop counts after a dataset's rows were
+ * changed in place.
+ * @param {Object} ds
+ */
+function forgetAnalysisRows(ds) {
+  displayedRowsCache.delete(ds.rows);
+  dropStatsCache.delete(ds.rows);
+}
+
+/**
+ * Recomputes what is on screen after the frame stream was switched.
+ */
+function onFrameStreamChange() {
+  const skipped  = window.allDatasets.filter(ds => !getDropStats(ds)).map(ds => ds.name);
+  const flagOnly = window.allDatasets.filter(ds => getDropStats(ds)?.hasDisplayTimes === false).map(ds => ds.name);
+  if (getFrameStream() === 'displayed' && skipped.length) {
+    window.notify?.(`No display data, using presented frames for: ${skipped.join(', ')}`, 'warning');
+  }
+  if (getFrameStream() === 'displayed' && flagOnly.length) {
+    window.notify?.(`No display times, using presented frames without the dropped ones for: ${flagOnly.join(', ')}`, 'warning');
+  }
+  restoreChartState(getChartState()); // from chartManager.js
+  if (!document.getElementById('statistics')?.classList.contains('empty-stats')) updateStatsTable();
+  if (!document.getElementById('testResults')?.classList.contains('hidden')) runStatisticalTest(); // from testManager.js
+}
+
 function percentileNearestRank(sortedAsc, p) {
   if (!sortedAsc.length) return NaN;
   const rank = Math.ceil((p / 100) * sortedAsc.length) - 1;   // 0‑based
   return sortedAsc[Math.max(0, Math.min(rank, sortedAsc.length - 1))];
 }
 
+/**
+ * Percentile estimator of Hyndman & Fan's continuous types: interpolates
+ * linearly around the 1‑based position returned by `position(n, p)`.
+ * @param {function(number, number): number} position - p as a fraction
+ * @returns {function(number[], number): number}
+ */
+function hyndmanFanPercentile(position) {
+  return (sortedAsc, p) => {
+    const n = sortedAsc.length;
+    if (!n) return NaN;
+    const h     = Math.min(n, Math.max(1, position(n, p / 100)));
+    const lower = Math.floor(h);
+    const w     = h - lower;
+    return w ? sortedAsc[lower - 1] * (1 - w) + sortedAsc[lower] * w : sortedAsc[lower - 1];
+  };
+}
+
+/**
+ * Percentile definitions offered in #percentileMethod. Every module goes
+ * through calculatePercentile(), so one setting changes all of them.
+ * `fpsFromFrameTimes`: FPS percentiles are taken from the frame times
+ * (P1 FPS = 1000 / P99 frame time), as CapFrameX reports them.
+ */
+const PERCENTILE_METHODS = {
+  'nearest-rank': { label: 'Nearest rank (Hyndman–Fan 1)', compute: percentileNearestRank },
+  'linear':       { label: 'Linear interpolation (Hyndman–Fan 7)',
+                    compute: hyndmanFanPercentile((n, p) => (n - 1) * p + 1) },
+  'hf6':          { label: 'Weibull (Hyndman–Fan 6)',
+                    compute: hyndmanFanPercentile((n, p) => (n + 1) * p) },
+  'hf8':          { label: 'Median‑unbiased (Hyndman–Fan 8)',
+                    compute: hyndmanFanPercentile((n, p) => (n + 1 / 3) * p + 1 / 3) },
+  'capframex':    { label: 'CapFrameX‑compatible (Hyndman–Fan 8 on frame times)',
+                    compute: hyndmanFanPercentile((n, p) => (n + 1 / 3) * p + 1 / 3), fpsFromFrameTimes: true }
+};
+const DEFAULT_PERCENTILE_METHOD = 'nearest-rank';
+
+/**
+ * @returns {string} key of PERCENTILE_METHODS chosen in #percentileMethod
+ */
+function getPercentileMethod() {
+  const key = document.getElementById('percentileMethod')?.value;
+  return key in PERCENTILE_METHODS ? key : DEFAULT_PERCENTILE_METHOD;
+}
+
+/**
+ * @param {string} [key] - defaults to the current setting
+ * @returns {string} e.g. "Nearest rank (Hyndman–Fan 1)"
+ */
+function getPercentileMethodLabel(key = getPercentileMethod()) {
+  return (PERCENTILE_METHODS[key] || PERCENTILE_METHODS[DEFAULT_PERCENTILE_METHOD]).label;
+}
+
+/**
+ * Recomputes what is on screen after #percentileMethod changed, including
+ * computed columns that use median / pctl / rollmedian. Datasets made by
+ * resampling keep the percentiles they were created with.
+ */
+function onPercentileMethodChange() {
+  const affected = window.allDatasets.filter(ds =>
+    (ds.meta?.computedColumns || []).some(c => usesPercentiles(parseExpression(c.expression)))); // from expressionManager.js
+  affected.forEach(ds => recomputeComputedColumns(ds, usesPercentiles)); // from expressionManager.js
+  if (affected.length) restoreChartState(getChartState()); // from chartManager.js
+  if (!document.getElementById('statistics')?.classList.contains('empty-stats')) updateStatsTable();
+  if (!document.getElementById('testResults')?.classList.contains('hidden')) runStatisticalTest(); // from testManager.js
+}
+
 function calculateStatistics(arr, metricName = '') {
   if (!arr.length) {
     return {
@@ -90,9 +295,16 @@ function calculateStatistics(arr, metricName = '') {
   if (!metricName && avg > 30 && minVal > 20) isFpsMetric = true;
 
   /* -------- percentiles (single‑frame cut‑off) --------------------- */
-  const p1   = percentileNearestRank(sorted,  isFpsMetric ? 1     : 99);
-  const p01  = percentileNearestRank(sorted,  isFpsMetric ? 0.1   : 99.9);
-  const p001 = percentileNearestRank(sorted,  isFpsMetric ? 0.01  : 99.99);
+  const method     = getPercentileMethod();
+  const frameTimes = isFpsMetric && minVal > 0 && PERCENTILE_METHODS[method].fpsFromFrameTimes
+      ? sorted.map(v => 1000 / v).reverse()
+      : null;
+  const percentile = p => frameTimes
+      ? 1000 / calculatePercentile(frameTimes, 100 - p, method)
+      : calculatePercentile(sorted, p, method);
+  const p1   = percentile(isFpsMetric ? 1     : 99);
+  const p01  = percentile(isFpsMetric ? 0.1   : 99.9);
+  const p001 = percentile(isFpsMetric ? 0.01  : 99.99);
 
   /* -------- “X % Low” (average of worst frames) -------------------- */
   const c1   = Math.max(1, Math.ceil(n * 0.01));     // 1 %
@@ -127,18 +339,16 @@ function calculateStatistics(arr, metricName = '') {
 
 
 
-function calculatePercentile(sortedArr, percentile) {
-  // percentile expressed as 1 → 1 %, 0.1 → 0.1 %
-  if (!sortedArr.length) return NaN;
-
-  const idx = (percentile / 100) * (sortedArr.length - 1);
-  const lower = Math.floor(idx);
-  const upper = Math.min(sortedArr.length - 1, Math.ceil(idx));
-
-  if (lower === upper) return sortedArr[lower];
-
-  const w = idx - lower;               // linear interpolation weight
-  return sortedArr[lower] * (1 - w) + sortedArr[upper] * w;
+/**
+ * Percentile of an ascending array with the chosen percentile definition.
+ * @param {number[]} sortedArr
+ * @param {number} percentile - 1 → 1 %, 0.1 → 0.1 %
+ * @param {string} [method] - key of PERCENTILE_METHODS; defaults to the setting
+ * @returns {number}
+ */
+function calculatePercentile(sortedArr, percentile, method = getPercentileMethod()) {
+  const { compute } = PERCENTILE_METHODS[method] || PERCENTILE_METHODS[DEFAULT_PERCENTILE_METHOD];
+  return compute(sortedArr, percentile);
 }
 
 /**
@@ -293,11 +503,11 @@ function showVisualStats(stats, metric, datasetName) {
   if (metric === 'FrameTime') {
     const dsObj = window.allDatasets.find(ds => ds.name === datasetName);
     if (dsObj) {
-      const frametimes = dsObj.rows.map(r => getMetricValue(r, 'FrameTime')).filter(v => v !== null);
+      const frametimes = getAnalysisRows(dsObj).map(r => getMetricValue(r, 'FrameTime')).filter(v => v !== null);
       const st = analyzeStuttering(frametimes);
       stutterInfo = `
-        <li><strong>Stutter Frames:</strong> ${st.count} (${st.percentage.toFixed(2)}% of total)</li>
-        <li><strong>Avg Stutter Severity:</strong> ${st.severity.toFixed(4)}× threshold</li>
+        <li><strong>Stutter Frames:</strong> ${st.count} (${formatNumber(st.percentage, 2)}% of total)</li>
+        <li><strong>Avg Stutter Severity:</strong> ${formatNumber(st.severity, 4)}× threshold</li>
       `;
     }
   }
@@ -308,18 +518,19 @@ function showVisualStats(stats, metric, datasetName) {
   container.innerHTML = `
     <strong>Dataset:</strong> ${datasetName}<br/>
     <strong>Metric:</strong> ${metric}<br/>
+    <strong>Percentiles:</strong> ${getPercentileMethodLabel()}<br/>
     ${metricExplanation}
     <ul>
-      <li><strong>Max:</strong> ${stats.max?.toFixed(4)} <span class="value-quality">(${isFpsMetric ? 'best' : 'worst'} value)</span></li>
-      <li><strong>Avg:</strong> ${stats.avg?.toFixed(4)}</li>
-      <li><strong>Min:</strong> ${stats.min?.toFixed(4)} <span class="value-quality">(${isFpsMetric ? 'worst' : 'best'} value)</span></li>
-      <li><strong>1%ile:</strong> ${stats.p1?.toFixed(4)} <span class="value-note">(${isFpsMetric ? 'low' : 'high'} outlier threshold)</span></li>
-      <li><strong>0.1%ile:</strong> ${stats.p01?.toFixed(4)}</li>
-      <li><strong>0.01%ile:</strong> ${stats.p001?.toFixed(4)}</li>
-      <li><strong>1% Low:</strong> ${isNaN(stats.low1) ? 'N/A' : stats.low1.toFixed(4)} <span class="value-note">(${low1Explanation})</span></li>
-      <li><strong>0.1% Low:</strong> ${isNaN(stats.low01) ? 'N/A' : stats.low01.toFixed(4)} <span class="value-note">(${low01Explanation})</span></li>
-      <li><strong>0.01% Low:</strong> ${isNaN(stats.low001) ? 'N/A' : stats.low001.toFixed(4)} <span class="value-note">(${low001Explanation})</span></li>
-      <li><strong>STDEV:</strong> ${stats.stdev?.toFixed(4)} <span class="value-note">${isFpsMetric ? 'Higher means more variable FPS' : 'Higher means more variable frame times'}</span></li>
+      <li><strong>Max:</strong> ${formatNumber(stats.max, 4)} <span class="value-quality">(${isFpsMetric ? 'best' : 'worst'} value)</span></li>
+      <li><strong>Avg:</strong> ${formatNumber(stats.avg, 4)}</li>
+      <li><strong>Min:</strong> ${formatNumber(stats.min, 4)} <span class="value-quality">(${isFpsMetric ? 'worst' : 'best'} value)</span></li>
+      <li><strong>1%ile:</strong> ${formatNumber(stats.p1, 4)} <span class="value-note">(${isFpsMetric ? 'low' : 'high'} outlier threshold)</span></li>
+      <li><strong>0.1%ile:</strong> ${formatNumber(stats.p01, 4)}</li>
+      <li><strong>0.01%ile:</strong> ${formatNumber(stats.p001, 4)}</li>
+      <li><strong>1% Low:</strong> ${formatNumber(stats.low1, 4)} <span class="value-note">(${low1Explanation})</span></li>
+      <li><strong>0.1% Low:</strong> ${formatNumber(stats.low01, 4)} <span class="value-note">(${low01Explanation})</span></li>
+      <li><strong>0.01% Low:</strong> ${formatNumber(stats.low001, 4)} <span class="value-note">(${low001Explanation})</span></li>
+      <li><strong>STDEV:</strong> ${formatNumber(stats.stdev, 4)} <span class="value-note">${isFpsMetric ? 'Higher means more variable FPS' : 'Higher means more variable frame times'}</span></li>
       ${stutterInfo}
     </ul>
   `;
@@ -333,10 +544,10 @@ function showVisualStats(stats, metric, datasetName) {
 function updateStatsTable() {
   const statsContent = document.getElementById('statistics');
   const statDatasetSelect = document.getElementById('statDatasetSelect');
-  const selectedDatasetIndices = Array.from(statDatasetSelect.selectedOptions).map(opt => parseInt(opt.value));
+  const selectedDatasetIds = Array.from(statDatasetSelect.selectedOptions).map(opt => opt.value);
   
   // Add or remove the empty class based on whether datasets are selected
-  if (!selectedDatasetIndices.length) {
+  if (!selectedDatasetIds.length) {
     statsContent.classList.add('empty-stats');
     return;
   } else {
@@ -344,7 +555,7 @@ function updateStatsTable() {
   }
 
   // Get the selected datasets
-  const selectedDatasets = selectedDatasetIndices.map(idx => window.allDatasets[idx]).filter(Boolean);
+  const selectedDatasets = selectedDatasetIds.map(getDatasetById).filter(Boolean);
   if (!selectedDatasets.length) return;
 
   // Which metrics are toggled "active"?
@@ -359,8 +570,11 @@ function updateStatsTable() {
   
   if (!selectedStats.length) return;
 
+  const groupKey = document.getElementById('statGroupBySelect')?.value || '';
+
   // Create the table header with statistic types
   const statsTable = document.getElementById('statsTable');
+  statsTable.createCaption().textContent = `Percentiles: ${getPercentileMethodLabel()}`;
   const thead = statsTable.querySelector('thead');
   const tbody = statsTable.querySelector('tbody');
 
@@ -389,21 +603,37 @@ function updateStatsTable() {
     
     // Calculate statistics for each dataset for this metric
     const datasetStats = selectedDatasets.map(dataset => {
-      const values = dataset.rows
+      const values = getAnalysisRows(dataset)
         .map(r => getMetricValue(r, metric))
         .filter(v => typeof v === 'number');
       
       return {
         name: dataset.name,
+        group: groupKey ? getDatasetGroupValue(dataset, groupKey) : '',
         stats: calculateStatistics(values, metric)
       };
     });
 
+    // Keep datasets of the same group together (stable sort keeps selection order)
+    if (groupKey) {
+      datasetStats.sort((a, b) => a.group.localeCompare(b.group));
+    }
+
     // Determine if higher values are better for this metric
     const isFpsMetric = metric.toLowerCase().includes('fps');
     
     // Create a row for each dataset
-    datasetStats.forEach(dsStats => {
+    datasetStats.forEach((dsStats, i) => {
+      if (groupKey && (i === 0 || dsStats.group !== datasetStats[i - 1].group)) {
+        const groupRow = document.createElement('tr');
+        groupRow.className = 'stats-group-header';
+        const groupCell = document.createElement('td');
+        groupCell.colSpan = selectedStats.length + 1;
+        groupCell.textContent = `${getGroupKeyLabel(groupKey)}: ${dsStats.group}`;
+        groupRow.appendChild(groupCell);
+        tbody.appendChild(groupRow);
+      }
+
       const datasetRow = document.createElement('tr');
       
       // Add dataset name cell
@@ -419,7 +649,7 @@ function updateStatsTable() {
         
         if (!isNaN(value)) {
           // Format the value
-          cell.textContent = value.toFixed(4);
+          cell.textContent = formatNumber(value, 4);
           
           // Compare values across datasets if there are multiple
           if (datasetStats.length > 1) {
@@ -460,6 +690,59 @@ function updateStatsTable() {
   });
 }
 
+/**
+ * Value of a grouping key for one dataset. Keys are "info:<field>" for
+ * metadata read from the capture file.
+ * @param {Object} ds
+ * @param {string} key
+ * @returns {string}
+ */
+function getDatasetGroupValue(ds, key) {
+  const sep   = key.indexOf(':');
+  const kind  = key.slice(0, sep);
+  const field = key.slice(sep + 1);
+  let value;
+  if (kind === 'info') value = ds.meta?.info?.[field];
+  if (kind === 'tag')  value = ds.tags?.[field];
+  return value == null || value === '' ? '(none)' : String(value);
+}
+
+/**
+ * Human readable label of a grouping key ("info:GameName" → "GameName",
+ * "tag:res" → "res (tag)").
+ * @param {string} key
+ * @returns {string}
+ */
+function getGroupKeyLabel(key) {
+  const field = key.slice(key.indexOf(':') + 1);
+  return key.startsWith('tag:') ? `${field} (tag)` : field;
+}
+
+/**
+ * Fills #statGroupBySelect with every metadata field and tag found on the
+ * loaded datasets, keeping the current choice when it still exists.
+ */
+function populateGroupBySelect() {
+  const select = document.getElementById('statGroupBySelect');
+  if (!select) return;
+
+  const keys = new Set();
+  (window.allDatasets || []).forEach(ds => {
+    Object.keys(ds.meta?.info || {}).forEach(k => keys.add(`info:${k}`));
+    Object.keys(ds.tags || {}).forEach(k => keys.add(`tag:${k}`));
+  });
+
+  const current = select.value;
+  select.innerHTML = '<option value="">None</option>';
+  Array.from(keys).sort().forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = getGroupKeyLabel(key);
+    select.appendChild(option);
+  });
+  if (keys.has(current)) select.value = current;
+}
+
 // Chart.js instance for statistics visualization
 let statsChart = null;
 
@@ -473,8 +756,8 @@ function visualizeStatistics() {
   if (!container || !canvas) return;
 
   const statDatasetSelect = document.getElementById('statDatasetSelect');
-  const datasetIndices = Array.from(statDatasetSelect.selectedOptions).map(opt => parseInt(opt.value));
-  if (!datasetIndices.length) {
+  const datasetIds = Array.from(statDatasetSelect.selectedOptions).map(opt => opt.value);
+  if (!datasetIds.length) {
     window.notify?.('Select datasets to visualize statistics', 'warning');
     return;
   }
@@ -489,10 +772,9 @@ function visualizeStatistics() {
 
   const statKey = stats[0];
   const chartLabels = metrics.slice();
-  const chartDatasets = datasetIndices.map((idx, i) => {
-    const ds = window.allDatasets[idx];
+  const chartDatasets = datasetIds.map(getDatasetById).filter(Boolean).map((ds, i) => {
     const data = metrics.map(metric => {
-      const values = ds.rows.map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
+      const values = getAnalysisRows(ds).map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
       const statObj = calculateStatistics(values, metric);
       return statObj[statKey];
     });
@@ -542,13 +824,53 @@ function getStatDisplayName(stat) {
   return displayNames[stat] || stat;
 }
 
+// Intl.NumberFormat instances are costly to build; keyed by "locale|digits"
+const numberFormatters = new Map();
+
+/**
+ * Formats a number for display in stats and test results, following the
+ * "Display numbers as" setting (#displayLocale). The default ("plain")
+ * gives the same output as toFixed(). Non‑finite values show as N/A.
+ * @param {number} value
+ * @param {number} digits - fraction digits
+ * @returns {string}
+ */
+function formatNumber(value, digits) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'N/A';
+  let locale = document.getElementById('displayLocale')?.value || 'plain';
+  if (locale === 'plain') return value.toFixed(digits);
+  if (locale === 'browser') locale = navigator.language;
+
+  const key = `${locale}|${digits}`;
+  if (!numberFormatters.has(key)) {
+    numberFormatters.set(key, new Intl.NumberFormat(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }));
+  }
+  return numberFormatters.get(key).format(value);
+}
+
 // Expose these to the global scope:
 window.getMetricValue = getMetricValue;
 window.calculateStatistics = calculateStatistics;
 window.calculatePercentile = calculatePercentile;
+window.PERCENTILE_METHODS = PERCENTILE_METHODS;
+window.getPercentileMethod = getPercentileMethod;
+window.getPercentileMethodLabel = getPercentileMethodLabel;
+window.onPercentileMethodChange = onPercentileMethodChange;
 window.analyzeStuttering = analyzeStuttering;
 window.analyzeFramePacing = analyzeFramePacing;
 window.showVisualStats = showVisualStats;
 window.updateStatsTable = updateStatsTable;
 window.visualizeStatistics = visualizeStatistics;
 window.getStatDisplayName = getStatDisplayName;
+window.getDatasetGroupValue = getDatasetGroupValue;
+window.populateGroupBySelect = populateGroupBySelect;
+window.formatNumber = formatNumber;
+window.getFrameStream = getFrameStream;
+window.isFlagSet = isFlagSet;
+window.getDropStats = getDropStats;
+window.getAnalysisRows = getAnalysisRows;
+window.forgetAnalysisRows = forgetAnalysisRows;
+window.onFrameStreamChange = onFrameStreamChange;
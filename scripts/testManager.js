@@ -28,47 +28,49 @@ function runStatisticalTest() {
 
   if (compareType === 'dataset') {
     // Compare two uploaded datasets
-    const dsAIndex = document.getElementById('datasetASelect').value;
-    const dsBIndex = document.getElementById('datasetBSelect').value;
-    if (dsAIndex === '' || dsBIndex === '') {
+    const dsAId = document.getElementById('datasetASelect').value;
+    const dsBId = document.getElementById('datasetBSelect').value;
+    if (dsAId === '' || dsBId === '') {
       resultsContent.innerHTML = 'Select two datasets.';
       return;
     }
 
-    const dsAObj = window.allDatasets[dsAIndex];
-    const dsBObj = window.allDatasets[dsBIndex];
+    const dsAObj = getDatasetById(dsAId);
+    const dsBObj = getDatasetById(dsBId);
     if (!dsAObj || !dsBObj) {
       resultsContent.innerHTML = 'One or both datasets not found.';
       return;
     }
 
-    dataA = dsAObj.rows.map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
-    dataB = dsBObj.rows.map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
+    dataA = getAnalysisRows(dsAObj).map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
+    dataB = getAnalysisRows(dsBObj).map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
 
     if (!dataA.length || !dataB.length) {
       resultsContent.innerHTML = 'One or both datasets had no valid data for that metric.';
       return;
     }
+    resultsDiv.dataset.datasetIds = `${dsAId} ${dsBId}`;
   } else {
     // Single dataset vs. numeric value
-    const dsAIndex = document.getElementById('datasetASelect').value;
-    if (dsAIndex === '') {
+    const dsAId = document.getElementById('datasetASelect').value;
+    if (dsAId === '') {
       resultsContent.innerHTML = 'Select a dataset.';
       return;
     }
 
-    const dsAObj = window.allDatasets[dsAIndex];
+    const dsAObj = getDatasetById(dsAId);
     if (!dsAObj) {
       resultsContent.innerHTML = 'Dataset not found.';
       return;
     }
 
-    dataA = dsAObj.rows.map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
+    dataA = getAnalysisRows(dsAObj).map(r => getMetricValue(r, metric)).filter(v => typeof v === 'number');
     if (!dataA.length) {
       resultsContent.innerHTML = 'Dataset had no valid data for that metric.';
       return;
     }
 
+    resultsDiv.dataset.datasetIds = dsAId;
     const fixedVal = parseFloat(document.getElementById('compareValue').value) || 0;
     dataB = dataA.map(() => fixedVal);
   }
@@ -112,6 +114,11 @@ function runStatisticalTest() {
     const fpRes = runFramePacingTest(dataA, dataB, resultsContent);
     interpretFramePacingResult(fpRes.consistencyDiff);
   }
+
+  // Medians, quartiles and percentiles above follow the global setting
+  // (insertAdjacentHTML keeps the result charts already drawn)
+  resultsContent.insertAdjacentHTML('beforeend',
+    `<p class="percentile-note">Percentiles: ${getPercentileMethodLabel()}</p>`); // from statsManager.js
 }
 
 /**
@@ -141,9 +148,9 @@ function runPairedTTest(a, b, resultsDiv) {
 
   resultsDiv.innerHTML += `
     <p><strong>Paired t-test</strong><br/>
-    n = ${n}, t = ${t.toFixed(4)}, dof = ${dof}, p-value = ${pTwoTailed.toFixed(6)}<br/>
-    Mean Diff = ${meanDiff.toFixed(4)} (95% CI: ${ciLower.toFixed(4)} to ${ciUpper.toFixed(4)})<br/>
-    Cohen's d = ${cohenD.toFixed(4)}
+    n = ${n}, t = ${formatNumber(t, 4)}, dof = ${dof}, p-value = ${formatNumber(pTwoTailed, 6)}<br/>
+    Mean Diff = ${formatNumber(meanDiff, 4)} (95% CI: ${formatNumber(ciLower, 4)} to ${formatNumber(ciUpper, 4)})<br/>
+    Cohen's d = ${formatNumber(cohenD, 4)}
     </p>
   `;
 
@@ -187,9 +194,9 @@ function runWilcoxon(a, b, resultsDiv) {
 
   resultsDiv.innerHTML += `
     <p><strong>Wilcoxon Signed-Rank</strong><br/>
-    n = ${nUsed}, W+ = ${Wplus.toFixed(4)}, W- = ${Wminus.toFixed(4)}, T = ${T.toFixed(4)}<br/>
-    z = ${z.toFixed(4)}, p-value ~ ${pVal.toFixed(6)}<br/>
-    Rank-Biserial Corr = ${RBC.toFixed(4)}
+    n = ${nUsed}, W+ = ${formatNumber(Wplus, 4)}, W- = ${formatNumber(Wminus, 4)}, T = ${formatNumber(T, 4)}<br/>
+    z = ${formatNumber(z, 4)}, p-value ~ ${formatNumber(pVal, 6)}<br/>
+    Rank-Biserial Corr = ${formatNumber(RBC, 4)}
     </p>
   `;
 
@@ -260,7 +267,7 @@ function runShapiroWilkTest(data, resultsDiv) {
   
   resultsDiv.innerHTML += `
     <p><strong>Shapiro-Wilk Normality Test</strong><br/>
-    W = ${W.toFixed(4)}, p-value = ${pValue.toFixed(6)}<br/>
+    W = ${formatNumber(W, 4)}, p-value = ${formatNumber(pValue, 6)}<br/>
     Interpretation: Data appears to be <span class="${normalityClass} effect-size-indicator">${normalityText}</span> 
     (α = 0.05)</p>
     
@@ -318,11 +325,11 @@ function runVarianceTest(a, b, resultsDiv) {
   
   resultsDiv.innerHTML += `
     <p><strong>Variance Comparison (F-test)</strong><br/>
-    Dataset A: Variance = ${var1.toFixed(4)}, CV = ${cv1.toFixed(2)}%<br/>
-    Dataset B: Variance = ${var2.toFixed(4)}, CV = ${cv2.toFixed(2)}%<br/>
-    F = ${F.toFixed(4)}, df1 = ${numeratorDof}, df2 = ${denominatorDof}, p-value = ${pValue.toFixed(6)}<br/>
-    Effect Size (ln(F)) = ${effectSize.toFixed(4)}<br/>
-    Dataset ${largerVariance} has ${varianceRatio.toFixed(2)}× the variance of the other dataset</p>
+    Dataset A: Variance = ${formatNumber(var1, 4)}, CV = ${formatNumber(cv1, 2)}%<br/>
+    Dataset B: Variance = ${formatNumber(var2, 4)}, CV = ${formatNumber(cv2, 2)}%<br/>
+    F = ${formatNumber(F, 4)}, df1 = ${numeratorDof}, df2 = ${denominatorDof}, p-value = ${formatNumber(pValue, 6)}<br/>
+    Effect Size (ln(F)) = ${formatNumber(effectSize, 4)}<br/>
+    Dataset ${largerVariance} has ${formatNumber(varianceRatio, 2)}× the variance of the other dataset</p>
   `;
   
   return { var1, var2, cv1, cv2, F, pValue, effectSize, largerDataset: largerVariance };
@@ -346,24 +353,24 @@ function runFramePacingTest(a, b, resultsDiv) {
     <p><strong>Frame Pacing Analysis</strong></p>
     <p>Dataset A: 
       <ul>
-        <li>Frame Pacing Consistency: ${pacingA.consistency.toFixed(2)}%</li>
-        <li>Median Frametime: ${pacingA.medianFrametime.toFixed(4)}ms</li>
-        <li>Median Frame-to-Frame Transition: ${pacingA.medianTransition.toFixed(4)}ms</li>
+        <li>Frame Pacing Consistency: ${formatNumber(pacingA.consistency, 2)}%</li>
+        <li>Median Frametime: ${formatNumber(pacingA.medianFrametime, 4)}ms</li>
+        <li>Median Frame-to-Frame Transition: ${formatNumber(pacingA.medianTransition, 4)}ms</li>
         <li>Bad Transitions: ${pacingA.badTransitions.length} frames</li>
       </ul>
     </p>
     <p>Dataset B: 
       <ul>
-        <li>Frame Pacing Consistency: ${pacingB.consistency.toFixed(2)}%</li>
-        <li>Median Frametime: ${pacingB.medianFrametime.toFixed(4)}ms</li>
-        <li>Median Frame-to-Frame Transition: ${pacingB.medianTransition.toFixed(4)}ms</li>
+        <li>Frame Pacing Consistency: ${formatNumber(pacingB.consistency, 2)}%</li>
+        <li>Median Frametime: ${formatNumber(pacingB.medianFrametime, 4)}ms</li>
+        <li>Median Frame-to-Frame Transition: ${formatNumber(pacingB.medianTransition, 4)}ms</li>
         <li>Bad Transitions: ${pacingB.badTransitions.length} frames</li>
       </ul>
     </p>
     <p>Differences (B - A):
       <ul>
-        <li>Consistency: ${consistencyDiff.toFixed(2)}% ${consistencyDiff > 0 ? '✅' : '❌'}</li>
-        <li>Avg Transition: ${(-avgTransitionDiff).toFixed(4)}ms ${avgTransitionDiff > 0 ? '✅' : '❌'}</li>
+        <li>Consistency: ${formatNumber(consistencyDiff, 2)}% ${consistencyDiff > 0 ? '✅' : '❌'}</li>
+        <li>Avg Transition: ${formatNumber((-avgTransitionDiff), 4)}ms ${avgTransitionDiff > 0 ? '✅' : '❌'}</li>
         <li>Bad Transitions: ${(-badTransitionsDiff)} frames ${badTransitionsDiff > 0 ? '✅' : '❌'}</li>
       </ul>
     </p>
@@ -489,11 +496,11 @@ function runMannWhitneyTest(a, b, resultsDiv) {
   
   resultsDiv.innerHTML += `
     <p><strong>Mann-Whitney U Test (Wilcoxon Rank-Sum)</strong><br/>
-    Dataset A: n = ${n1}, Median = ${medianA.toFixed(4)}, IQR = ${iqrA.toFixed(4)}<br/>
-    Dataset B: n = ${n2}, Median = ${medianB.toFixed(4)}, IQR = ${iqrB.toFixed(4)}<br/>
-    U = ${U.toFixed(2)}, z = ${z.toFixed(4)}, p-value = ${pValue.toFixed(6)}<br/>
-    Effect Size (r) = ${effectSize.toFixed(4)}<br/>
-    Common Language Effect Size = ${clEffect.toFixed(1)}% (probability that a random frame from dataset ${higherGroup} has ${higherGroup === 'A' ? 'lower' : 'higher'} frametime)<br/>
+    Dataset A: n = ${n1}, Median = ${formatNumber(medianA, 4)}, IQR = ${formatNumber(iqrA, 4)}<br/>
+    Dataset B: n = ${n2}, Median = ${formatNumber(medianB, 4)}, IQR = ${formatNumber(iqrB, 4)}<br/>
+    U = ${formatNumber(U, 2)}, z = ${formatNumber(z, 4)}, p-value = ${formatNumber(pValue, 6)}<br/>
+    Effect Size (r) = ${formatNumber(effectSize, 4)}<br/>
+    Common Language Effect Size = ${formatNumber(clEffect, 1)}% (probability that a random frame from dataset ${higherGroup} has ${higherGroup === 'A' ? 'lower' : 'higher'} frametime)<br/>
     Dataset ${higherGroup} appears to have ${Math.abs(pValue) <= 0.05 ? '<strong>significantly</strong>' : 'not significantly'} ${higherGroup === 'A' ? 'higher' : 'lower'} frametimes</p>
   `;
   
@@ -613,7 +620,7 @@ function runKolmogorovSmirnovTest(a, b, resultsDiv) {
   const iqrB = calculatePercentile(sortedB, 75) - calculatePercentile(sortedB, 25);
   
   // Distribution difference analysis
-  const distributionDiffText = `The largest difference occurs at value ${maxDiffValue.toFixed(4)}`;
+  const distributionDiffText = `The largest difference occurs at value ${formatNumber(maxDiffValue, 4)}`;
   
   // Test for distribution shape differences (skewness, etc.)
   const skewA = calculateSkewness(sortedA);
@@ -622,7 +629,7 @@ function runKolmogorovSmirnovTest(a, b, resultsDiv) {
   
   let shapeDiffText = "";
   if (skewDiff > 0.5) {
-    shapeDiffText = `<br>The distributions differ significantly in shape (skewness difference: ${skewDiff.toFixed(2)})`;
+    shapeDiffText = `<br>The distributions differ significantly in shape (skewness difference: ${formatNumber(skewDiff, 2)})`;
     if (skewA > skewB) {
       shapeDiffText += `. Dataset A has more extreme high values.`;
     } else {
@@ -635,10 +642,10 @@ function runKolmogorovSmirnovTest(a, b, resultsDiv) {
   
   resultsDiv.innerHTML += `
     <p><strong>Kolmogorov-Smirnov Test</strong><br/>
-    Dataset A: n = ${samplingApplied ? aSubset.length : n1}, Median = ${medianA.toFixed(4)}, IQR = ${iqrA.toFixed(4)}<br/>
-    Dataset B: n = ${samplingApplied ? bSubset.length : n2}, Median = ${medianB.toFixed(4)}, IQR = ${iqrB.toFixed(4)}<br/>
-    D = ${D.toFixed(4)}, p-value = ${pValue.toFixed(6)}<br/>
-    Effect Size (D) = ${effectSize.toFixed(4)}<br/>
+    Dataset A: n = ${samplingApplied ? aSubset.length : n1}, Median = ${formatNumber(medianA, 4)}, IQR = ${formatNumber(iqrA, 4)}<br/>
+    Dataset B: n = ${samplingApplied ? bSubset.length : n2}, Median = ${formatNumber(medianB, 4)}, IQR = ${formatNumber(iqrB, 4)}<br/>
+    D = ${formatNumber(D, 4)}, p-value = ${formatNumber(pValue, 6)}<br/>
+    Effect Size (D) = ${formatNumber(effectSize, 4)}<br/>
     ${distributionDiffText}${shapeDiffText}${samplingNote}<br/>
     The distributions are ${pValue <= 0.05 ? '<strong>significantly different</strong>' : '<strong>not significantly different</strong>'}</p>
   `;
@@ -736,7 +743,7 @@ function interpretTTestResult(cohenD) {
   const direction = cohenD > 0 ? "higher" : "lower";
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The effect size (Cohen's d = ${cohenD.toFixed(2)}) indicates a 
+    <p><strong>Interpretation:</strong> The effect size (Cohen's d = ${formatNumber(cohenD, 2)}) indicates a 
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> effect.</p>
     
     <p>Dataset B has ${direction} values than Dataset A with a ${effectSizeText} practical significance.</p>
@@ -777,7 +784,7 @@ function interpretWilcoxonResult(rbc) {
   }
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The effect size (Rank-Biserial Correlation = ${rbc.toFixed(2)}) indicates a 
+    <p><strong>Interpretation:</strong> The effect size (Rank-Biserial Correlation = ${formatNumber(rbc, 2)}) indicates a 
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> effect.</p>
     <p>Guidelines for Rank-Biserial Correlation interpretation:</p>
     <ul>
@@ -818,10 +825,10 @@ function interpretMannWhitneyResult(effectSize, pValue) {
     "The distributions are <strong>not significantly different</strong>";
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The effect size (r = ${effectSize.toFixed(2)}) indicates a 
+    <p><strong>Interpretation:</strong> The effect size (r = ${formatNumber(effectSize, 2)}) indicates a 
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> difference between distributions.</p>
     
-    <p>${significanceText} (p = ${pValue.toFixed(6)}, α = 0.05).</p>
+    <p>${significanceText} (p = ${formatNumber(pValue, 6)}, α = 0.05).</p>
     
     <p>Guidelines for Mann-Whitney effect size interpretation:</p>
     <ul>
@@ -865,10 +872,10 @@ function interpretVarianceTest(effectSize, pValue) {
     "The variances are <strong>not significantly different</strong>";
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The effect size (ln(F) = ${effectSize.toFixed(2)}) indicates a 
+    <p><strong>Interpretation:</strong> The effect size (ln(F) = ${formatNumber(effectSize, 2)}) indicates a 
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> difference in variance.</p>
     
-    <p>${significanceText} (p = ${pValue.toFixed(6)}, α = 0.05).</p>
+    <p>${significanceText} (p = ${formatNumber(pValue, 6)}, α = 0.05).</p>
     
     <p>Guidelines for variance effect size interpretation:</p>
     <ul>
@@ -921,7 +928,7 @@ function interpretFramePacingResult(consistencyDiff) {
   }
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The difference in frame pacing consistency (${consistencyDiff.toFixed(2)}%) indicates a
+    <p><strong>Interpretation:</strong> The difference in frame pacing consistency (${formatNumber(consistencyDiff, 2)}%) indicates a
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> effect.</p>
     
     <p>Dataset B shows a <strong>${assessmentText}</strong> in frame pacing compared to Dataset A.</p>
@@ -976,12 +983,12 @@ function interpretKSTestResult(effectSize, pValue, skewA, skewB, maxDiffValue) {
   }
   
   interpDiv.innerHTML = `
-    <p><strong>Interpretation:</strong> The effect size (D = ${effectSize.toFixed(2)}) indicates a 
+    <p><strong>Interpretation:</strong> The effect size (D = ${formatNumber(effectSize, 2)}) indicates a 
     <span class="${effectSizeClass} effect-size-indicator">${effectSizeText}</span> difference between frame time distributions.</p>
     
-    <p>${significanceText} (p = ${pValue.toFixed(6)}, α = 0.05).</p>
+    <p>${significanceText} (p = ${formatNumber(pValue, 6)}, α = 0.05).</p>
     
-    <p>The maximum difference between distributions occurs at ${maxDiffValue.toFixed(2)}ms. 
+    <p>The maximum difference between distributions occurs at ${formatNumber(maxDiffValue, 2)}ms. 
     ${distributionInsight}</p>
     
     <p><strong>What This Means:</strong> ${getKSMeaning(effectSize, pValue, skewDiff)}</p>
@@ -1049,12 +1056,12 @@ function runFrameTimeDiagnostics(a, b, resultsDiv) {
       <div class="diagnostic-column">
         <h4>Dataset A:</h4>
         <ul>
-          <li>Mean: ${diagnostics.a.mean.toFixed(2)}ms</li>
-          <li>Median: ${diagnostics.a.median.toFixed(2)}ms</li>
-          <li>Variance: ${diagnostics.a.variance.toFixed(4)}</li>
-          <li>Skewness: ${diagnostics.a.skewness.toFixed(2)} ${interpretSkewness(diagnostics.a.skewness)}</li>
+          <li>Mean: ${formatNumber(diagnostics.a.mean, 2)}ms</li>
+          <li>Median: ${formatNumber(diagnostics.a.median, 2)}ms</li>
+          <li>Variance: ${formatNumber(diagnostics.a.variance, 4)}</li>
+          <li>Skewness: ${formatNumber(diagnostics.a.skewness, 2)} ${interpretSkewness(diagnostics.a.skewness)}</li>
           <li>Multi-modality: ${diagnostics.a.isMultimodal ? 'Detected' : 'Not detected'}</li>
-          <li>Outlier percentage: ${diagnostics.a.outlierPercentage.toFixed(2)}%</li>
+          <li>Outlier percentage: ${formatNumber(diagnostics.a.outlierPercentage, 2)}%</li>
           <li>Stutter risk: ${interpretStutterRisk(diagnostics.a)}</li>
         </ul>
       </div>
@@ -1062,12 +1069,12 @@ function runFrameTimeDiagnostics(a, b, resultsDiv) {
       <div class="diagnostic-column">
         <h4>Dataset B:</h4>
         <ul>
-          <li>Mean: ${diagnostics.b.mean.toFixed(2)}ms</li>
-          <li>Median: ${diagnostics.b.median.toFixed(2)}ms</li>
-          <li>Variance: ${diagnostics.b.variance.toFixed(4)}</li>
-          <li>Skewness: ${diagnostics.b.skewness.toFixed(2)} ${interpretSkewness(diagnostics.b.skewness)}</li>
+          <li>Mean: ${formatNumber(diagnostics.b.mean, 2)}ms</li>
+          <li>Median: ${formatNumber(diagnostics.b.median, 2)}ms</li>
+          <li>Variance: ${formatNumber(diagnostics.b.variance, 4)}</li>
+          <li>Skewness: ${formatNumber(diagnostics.b.skewness, 2)} ${interpretSkewness(diagnostics.b.skewness)}</li>
           <li>Multi-modality: ${diagnostics.b.isMultimodal ? 'Detected' : 'Not detected'}</li>
-          <li>Outlier percentage: ${diagnostics.b.outlierPercentage.toFixed(2)}%</li>
+          <li>Outlier percentage: ${formatNumber(diagnostics.b.outlierPercentage, 2)}%</li>
           <li>Stutter risk: ${interpretStutterRisk(diagnostics.b)}</li>
         </ul>
       </div>
@@ -1273,9 +1280,9 @@ function getComparativeVerdict(diagA, diagB) {
   // Add specific details about the magnitude of differences
   let details = "";
   if (medianDiffPercent >= 5) {
-    details += ` There is a substantial difference in typical frametime (${medianDiffPercent.toFixed(1)}%).`;
+    details += ` There is a substantial difference in typical frametime (${formatNumber(medianDiffPercent, 1)}%).`;
   } else if (medianDiffPercent >= 2) {
-    details += ` There is a noticeable difference in typical frametime (${medianDiffPercent.toFixed(1)}%).`;
+    details += ` There is a noticeable difference in typical frametime (${formatNumber(medianDiffPercent, 1)}%).`;
   }
   
   if (Math.abs(stutterRiskA - stutterRiskB) >= 3) {
@@ -1417,9 +1424,9 @@ function visualizeBootstrapCI(dataA, dataB, resultsDiv) {
           <div class="ci-label-small">Dataset A:</div>
           <div class="ci-bar">
             <div class="ci-range-labels">
-              <span class="ci-lower-label">${ciA.lower.toFixed(2)}${metric.unit}</span>
-              <span class="ci-mean-label">${ciA.mean.toFixed(2)}${metric.unit}</span>
-              <span class="ci-upper-label">${ciA.upper.toFixed(2)}${metric.unit}</span>
+              <span class="ci-lower-label">${formatNumber(ciA.lower, 2)}${metric.unit}</span>
+              <span class="ci-mean-label">${formatNumber(ciA.mean, 2)}${metric.unit}</span>
+              <span class="ci-upper-label">${formatNumber(ciA.upper, 2)}${metric.unit}</span>
             </div>
             <div class="ci-bar-inner">
               <div class="ci-range-line"></div>
@@ -1431,9 +1438,9 @@ function visualizeBootstrapCI(dataA, dataB, resultsDiv) {
           <div class="ci-label-small">Dataset B:</div>
           <div class="ci-bar">
             <div class="ci-range-labels">
-              <span class="ci-lower-label">${ciB.lower.toFixed(2)}${metric.unit}</span>
-              <span class="ci-mean-label">${ciB.mean.toFixed(2)}${metric.unit}</span>
-              <span class="ci-upper-label">${ciB.upper.toFixed(2)}${metric.unit}</span>
+              <span class="ci-lower-label">${formatNumber(ciB.lower, 2)}${metric.unit}</span>
+              <span class="ci-mean-label">${formatNumber(ciB.mean, 2)}${metric.unit}</span>
+              <span class="ci-upper-label">${formatNumber(ciB.upper, 2)}${metric.unit}</span>
             </div>
             <div class="ci-bar-inner">
               <div class="ci-range-line"></div>
@@ -1542,9 +1549,9 @@ function visualizeFrameTimeStability(dataA, dataB, resultsDiv) {
           <div class="stability-stat-column">
             <h5>Dataset A</h5>
             <ul>
-              <li>Median transition: ${calculatePercentile([...transitionsA.diffs].sort((a, b) => a - b), 50).toFixed(3)} ms</li>
-              <li>Largest transition: ${Math.max(...transitionsA.diffs).toFixed(3)} ms</li>
-              <li>Transition variability: ${(calculateStdev(transitionsA.diffs) / calculateMean(transitionsA.diffs)).toFixed(3)}</li>
+              <li>Median transition: ${formatNumber(calculatePercentile([...transitionsA.diffs].sort((a, b) => a - b), 50), 3)} ms</li>
+              <li>Largest transition: ${formatNumber(Math.max(...transitionsA.diffs), 3)} ms</li>
+              <li>Transition variability: ${formatNumber((calculateStdev(transitionsA.diffs) / calculateMean(transitionsA.diffs)), 3)}</li>
               <li>Repeated frames: ${transitionsA.repeatedFrames}</li>
               <li>Out-of-sequence frames: ${transitionsA.outOfSequence}</li>
             </ul>
@@ -1553,9 +1560,9 @@ function visualizeFrameTimeStability(dataA, dataB, resultsDiv) {
           <div class="stability-stat-column">
             <h5>Dataset B</h5>
             <ul>
-              <li>Median transition: ${calculatePercentile([...transitionsB.diffs].sort((a, b) => a - b), 50).toFixed(3)} ms</li>
-              <li>Largest transition: ${Math.max(...transitionsB.diffs).toFixed(3)} ms</li>
-              <li>Transition variability: ${(calculateStdev(transitionsB.diffs) / calculateMean(transitionsB.diffs)).toFixed(3)}</li>
+              <li>Median transition: ${formatNumber(calculatePercentile([...transitionsB.diffs].sort((a, b) => a - b), 50), 3)} ms</li>
+              <li>Largest transition: ${formatNumber(Math.max(...transitionsB.diffs), 3)} ms</li>
+              <li>Transition variability: ${formatNumber((calculateStdev(transitionsB.diffs) / calculateMean(transitionsB.diffs)), 3)}</li>
               <li>Repeated frames: ${transitionsB.repeatedFrames}</li>
               <li>Out-of-sequence frames: ${transitionsB.outOfSequence}</li>
             </ul>
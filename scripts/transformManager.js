@@ -0,0 +1,426 @@
+// Transforms: derived datasets made from loaded ones (trimmed, merged,
+// resampled, cleaned, …). Every derived dataset lists the operations that produced
+// it in meta.transforms, so the same result can be produced again from the
+// original captures.
+
+const TRIM_MODES  = ['edges', 'range'];
+const TRIM_UNITS  = ['seconds', 'frames'];
+const MERGE_MODES = ['concat', 'interleave'];
+// Per-bucket frame time percentiles of a resampled dataset (column → percentile)
+const RESAMPLE_PERCENTILES = { P50FrameTime: 50, P95FrameTime: 95, P99FrameTime: 99 };
+
+/**
+ * Seconds since the first frame for every row: the capture's timestamps
+ * (see extractRowTimestamp) when all rows have one, otherwise the running
+ * sum of frame times.
+ * @param {Object[]} rows
+ * @returns {number[]}
+ */
+function getRowTimes(rows) {
+  const stamps = rows.map(r => extractRowTimestamp(r)); // from chartManager.js
+  if (rows.length && stamps.every(t => t !== null)) {
+    const t0 = stamps[0];
+    return stamps.map(t => t - t0);
+  }
+
+  const times = [];
+  let elapsed = 0;
+  rows.forEach(r => {
+    times.push(elapsed);
+    if (Number.isFinite(r.FrameTime)) elapsed += r.FrameTime / 1000;
+  });
+  return times;
+}
+
+/**
+ * Keeps the rows inside a time or frame range.
+ *   edges: drop `start` from the beginning and `end` from the end
+ *   range: keep from `start` to `end` (null = until the last frame)
+ * @param {Object[]} rows
+ * @param {{mode:string, unit:string, start:number, end:?number}} trim
+ * @returns {Object[]} the kept rows (the row objects are shared)
+ */
+function trimRows(rows, { mode, unit, start, end }) {
+  const pos  = unit === 'frames' ? rows.map((_, i) => i) : getRowTimes(rows);
+  const last = pos.reduce((m, p) => Math.max(m, p), 0);
+
+  const from = start || 0;
+  const to   = mode === 'edges' ? last - (end || 0)
+             : end == null      ? Infinity
+             : end;
+  return rows.filter((_, i) => pos[i] >= from && pos[i] <= to);
+}
+
+/**
+ * Short text for one entry of meta.transforms.
+ * @param {Object} t
+ * @returns {string}
+ */
+function describeTransform(t) {
+  if (t.op === 'trim') {
+    const unit = t.unit === 'frames' ? ' frames' : ' s';
+    const span = t.mode === 'edges'
+      ? `dropped first ${t.start || 0}${unit}, last ${t.end || 0}${unit}`
+      : `kept ${t.start || 0}–${t.end == null ? 'end' : t.end}${unit}`;
+    return `Trim: ${span} (${t.keptRows} of ${t.sourceRows} rows)`;
+  }
+  if (t.op === 'merge') {
+    const how = t.mode === 'interleave' ? 'interleaved by timestamp' : 'concatenated';
+    return `Merge: ${t.sources.map(src => `${src.runId}. ${src.name}`).join(', ')} (${how})`;
+  }
+  if (t.op === 'clean') {
+    const on = t.rules.filter(r => r.enabled).map(describeCleaningRule); // from cleaningManager.js
+    return `Clean: ${on.join('; ') || 'no rules'} (${t.keptRows} of ${t.sourceRows} rows kept)`;
+  }
+  if (t.op === 'resample') {
+    const method = t.percentileMethod ? `, ${getPercentileMethodLabel(t.percentileMethod)} percentiles` : ''; // from statsManager.js
+    return `Resample: ${formatBucket(t.bucket)} buckets (${t.buckets} from ${t.sourceRows} frames${method})`;
+  }
+  return t.op;
+}
+
+/**
+ * Dataset derived from `ds` with other rows, placed right after it. Meta and
+ * tags are copied and the operation is appended to meta.transforms.
+ * @param {Object} ds
+ * @param {Object[]} rows
+ * @param {string} suffix - added to the name
+ * @param {Object} transform - {op, …parameters}
+ * @returns {Object} the new dataset
+ */
+function addDerivedDataset(ds, rows, suffix, transform) {
+  const meta = structuredClone(ds.meta || {});
+  delete meta.audit;    // the copy has other rows
+  delete meta.cleaning; // cleaning the copy must start from the copy, not the raw source
+  meta.transforms = [...(meta.transforms || []), {
+    ...transform,
+    source:     ds.id,
+    sourceName: ds.name,
+    at:         new Date().toISOString()
+  }];
+
+  const derived = {
+    name: `${ds.name} ${suffix}`,
+    rows: rows.map(r => ({ ...r })),
+    meta,
+    ...(ds.tags ? { tags: { ...ds.tags } } : {})
+  };
+  if (transform.op === 'resample') delete meta.computedColumns; // the source's columns are not in the buckets
+  // Aggregates and windows of computed columns must cover the copy's rows
+  recomputeComputedColumns(derived); // from expressionManager.js
+  return addDataset(derived, window.allDatasets.indexOf(ds) + 1); // from dataManager.js
+}
+
+/**
+ * Reads a number input; empty means null.
+ * @param {string} id
+ * @returns {?number}
+ */
+function readOptionalNumber(id) {
+  const raw = document.getElementById(id)?.value.trim();
+  if (!raw) return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Updates the trim field labels for the chosen mode and unit.
+ */
+function updateTrimUI() {
+  const mode = document.getElementById('trimMode')?.value;
+  const unit = document.getElementById('trimUnit')?.value === 'frames' ? 'frames' : 's';
+  const startLabel = document.querySelector('label[for="trimStart"]');
+  const endLabel   = document.querySelector('label[for="trimEnd"]');
+  if (startLabel) startLabel.textContent = mode === 'range' ? `Keep from (${unit}):` : `Drop first (${unit}):`;
+  if (endLabel)   endLabel.textContent   = mode === 'range' ? `Keep to (${unit}, empty = end):` : `Drop last (${unit}):`;
+}
+
+/**
+ * Fills the trim fields with a "drop first/last N seconds" preset.
+ * @param {number} first
+ * @param {number} last
+ */
+function applyTrimPreset(first, last) {
+  document.getElementById('trimMode').value  = 'edges';
+  document.getElementById('trimUnit').value  = 'seconds';
+  document.getElementById('trimStart').value = first;
+  document.getElementById('trimEnd').value   = last;
+  updateTrimUI();
+}
+
+/**
+ * Creates a trimmed copy of every dataset selected in the Transform tab.
+ */
+function trimSelectedDatasets() {
+  const select = document.getElementById('transformDatasetSelect');
+  const ids    = Array.from(select?.selectedOptions || [], o => o.value);
+  if (!ids.length) {
+    window.notify?.('Select the datasets to trim.', 'warning');
+    return;
+  }
+
+  const mode  = TRIM_MODES.includes(document.getElementById('trimMode')?.value) ? document.getElementById('trimMode').value : 'edges';
+  const unit  = TRIM_UNITS.includes(document.getElementById('trimUnit')?.value) ? document.getElementById('trimUnit').value : 'seconds';
+  const start = readOptionalNumber('trimStart');
+  const end   = readOptionalNumber('trimEnd');
+  if (Number.isNaN(start) || Number.isNaN(end) || (mode === 'range' && end != null && end < (start || 0))) {
+    window.notify?.('Enter a valid trim range (non-negative numbers, start before end).', 'error');
+    return;
+  }
+
+  const trim   = { mode, unit, start: start || 0, end: mode === 'edges' ? end || 0 : end };
+  const suffix = mode === 'edges'
+    ? `[trim −${trim.start}/−${trim.end}${unit === 'frames' ? 'f' : 's'}]`
+    : `[trim ${trim.start}–${trim.end == null ? 'end' : trim.end}${unit === 'frames' ? 'f' : 's'}]`;
+
+  const created = [];
+  const empty   = [];
+  ids.forEach(id => {
+    const ds = getDatasetById(id); // from dataManager.js
+    if (!ds) return;
+    const rows = trimRows(ds.rows, trim);
+    if (!rows.length) {
+      empty.push(ds.name);
+      return;
+    }
+    created.push(addDerivedDataset(ds, rows, suffix, {
+      op: 'trim', ...trim, sourceRows: ds.rows.length, keptRows: rows.length
+    }));
+  });
+
+  if (created.length) {
+    refreshDatasetLists(); // from dataManager.js
+    window.notify?.(`Created ${created.length} trimmed dataset${created.length === 1 ? '' : 's'}.`, 'success');
+  }
+  if (empty.length) {
+    window.notify?.(`Nothing left after trimming: ${empty.join(', ')}`, 'warning');
+  }
+}
+
+/**
+ * Copies of one run's rows with a RunId and timestamps moved to start at
+ * `offset` seconds. Rows without timestamps get TimeInSeconds.
+ * @param {Object[]} rows
+ * @param {number} runId
+ * @param {number} offset
+ * @returns {{rows:Object[], end:number}} end = where the next run starts
+ */
+function offsetRunRows(rows, runId, offset) {
+  const times = getRowTimes(rows);
+  const keys  = Object.keys(rows[0] || {}).filter(isTimestampKey); // from chartManager.js
+  const base  = {};
+  keys.forEach(k => { base[k] = rows.map(r => parseFloat(r[k])).find(Number.isFinite); });
+
+  const out = rows.map((r, i) => {
+    const row = { ...r, RunId: runId };
+    if (!keys.length) row.TimeInSeconds = offset + times[i];
+    keys.forEach(k => {
+      const v = parseFloat(r[k]);
+      if (Number.isFinite(v)) row[k] = v - base[k] + offset;
+    });
+    return row;
+  });
+
+  const lastFrame = rows[rows.length - 1]?.FrameTime;
+  const span      = times.reduce((m, t) => Math.max(m, t), 0);
+  return { rows: out, end: offset + span + (Number.isFinite(lastFrame) ? lastFrame / 1000 : 0) };
+}
+
+/**
+ * The entries two or more objects agree on.
+ * @param {Array<Object|undefined>} objects
+ * @returns {Object}
+ */
+function sharedEntries(objects) {
+  const [first, ...rest] = objects.map(o => o || {});
+  return Object.fromEntries(
+    Object.entries(first).filter(([k, v]) => rest.every(o => o[k] === v))
+  );
+}
+
+/**
+ * Combines several runs into one dataset with a RunId column (1, 2, … in
+ * the given order).
+ *   concat:     runs one after another; timestamps are shifted so each run
+ *               starts where the previous one ended
+ *   interleave: all frames sorted by their own timestamps (frames without a
+ *               timestamp use the time since their run started)
+ * Meta, info and tags keep what every run has in common; meta.transforms
+ * names the source datasets.
+ * @param {Object[]} datasets
+ * @param {'concat'|'interleave'} mode
+ * @param {string} [name]
+ * @returns {Object} the new dataset, appended to allDatasets
+ */
+function mergeDatasets(datasets, mode = 'concat', name = '') {
+  let rows = [];
+  if (mode === 'interleave') {
+    const timed = [];
+    datasets.forEach((ds, i) => {
+      const stamps = ds.rows.map(r => extractRowTimestamp(r)); // from chartManager.js
+      const times  = stamps.every(t => t !== null) ? stamps : getRowTimes(ds.rows);
+      ds.rows.forEach((r, j) => timed.push({ t: times[j], row: { ...r, RunId: i + 1 } }));
+    });
+    rows = timed.sort((a, b) => a.t - b.t).map(e => e.row); // stable: ties keep run order
+  } else {
+    let offset = 0;
+    datasets.forEach((ds, i) => {
+      const run = offsetRunRows(ds.rows, i + 1, offset);
+      rows = rows.concat(run.rows);
+      offset = run.end;
+    });
+  }
+
+  const formats = new Set(datasets.map(ds => ds.meta?.format));
+  const meta = {
+    ...sharedEntries(datasets.map(ds => ds.meta)),
+    format: formats.size === 1 ? [...formats][0] : 'merged',
+    info:   sharedEntries(datasets.map(ds => ds.meta?.info))
+  };
+  delete meta.transforms;
+  meta.transforms = [{
+    op: 'merge',
+    mode,
+    sources: datasets.map((ds, i) => ({ runId: i + 1, id: ds.id, name: ds.name, rows: ds.rows.length })),
+    at: new Date().toISOString()
+  }];
+
+  // Columns computed the same way in every run are computed again over the
+  // merged rows; the others would be partial columns without a definition
+  const definitions = datasets.map(ds => ds.meta?.computedColumns || []);
+  const computed    = definitions[0].filter(c =>
+    definitions.every(list => list.some(d => d.name === c.name && d.expression === c.expression)));
+  definitions.flat().forEach(c => {
+    if (!computed.some(d => d.name === c.name)) rows.forEach(r => { delete r[c.name]; });
+  });
+  if (computed.length) meta.computedColumns = computed.map(c => ({ ...c }));
+
+  const tags   = sharedEntries(datasets.map(ds => ds.tags));
+  const merged = {
+    name: name || `Merged: ${datasets.map(ds => ds.name).join(' + ')}`,
+    rows,
+    meta,
+    ...(Object.keys(tags).length ? { tags } : {})
+  };
+  recomputeComputedColumns(merged); // from expressionManager.js
+  return addDataset(merged); // from dataManager.js
+}
+
+/**
+ * Merges the datasets selected in the Transform tab.
+ */
+function mergeSelectedDatasets() {
+  const select   = document.getElementById('transformDatasetSelect');
+  const datasets = Array.from(select?.selectedOptions || [], o => getDatasetById(o.value)).filter(Boolean);
+  if (datasets.length < 2) {
+    window.notify?.('Select at least two datasets to merge.', 'warning');
+    return;
+  }
+
+  const modeValue = document.getElementById('mergeMode')?.value;
+  const mode      = MERGE_MODES.includes(modeValue) ? modeValue : 'concat';
+  const nameInput = document.getElementById('mergeName');
+  const merged    = mergeDatasets(datasets, mode, nameInput?.value.trim());
+  if (nameInput) nameInput.value = '';
+
+  refreshDatasetLists(); // from dataManager.js
+  window.notify?.(`Created ${merged.name} (${merged.rows.length.toLocaleString()} frames).`, 'success');
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} e.g. "100 ms", "1 s"
+ */
+function formatBucket(seconds) {
+  return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds} s`;
+}
+
+/**
+ * Groups frames into fixed time buckets. Each output row describes one
+ * bucket (TimeInSeconds = its start):
+ *   FrameCount, FrameCountFPS (frames / bucket length), FrameTime (mean),
+ *   MaxFrameTime and the RESAMPLE_PERCENTILES of the frame times.
+ * Buckets without a frame (a hitch longer than the bucket) have a count of 0
+ * and no frame time columns.
+ * @param {Object[]} rows
+ * @param {number} bucket - seconds
+ * @returns {Object[]}
+ */
+function resampleRows(rows, bucket) {
+  const times   = getRowTimes(rows);
+  const buckets = [];   // frame times per bucket
+  const counts  = [];   // frames per bucket, with or without a frame time
+  rows.forEach((r, i) => {
+    const b  = Math.floor(times[i] / bucket + 1e-9);
+    const ft = getMetricValue(r, 'FrameTime'); // from statsManager.js
+    if (!buckets[b]) { buckets[b] = []; counts[b] = 0; }
+    if (typeof ft === 'number' && Number.isFinite(ft)) buckets[b].push(ft);
+    counts[b]++;
+  });
+
+  // The last bucket only lasts until the end of the capture
+  const lastFrame = getMetricValue(rows[rows.length - 1] || {}, 'FrameTime');
+  const end = times.reduce((m, t) => Math.max(m, t), 0) + (Number.isFinite(lastFrame) ? lastFrame / 1000 : 0);
+
+  return Array.from(buckets, (fts = [], b) => {
+    const start  = b * bucket;
+    const length = Math.min(bucket, end - start) || bucket;
+    const count  = counts[b] || 0;
+    const row    = { TimeInSeconds: start, FrameCount: count, FrameCountFPS: count / length };
+    if (fts.length) {
+      const sorted = fts.sort((a, c) => a - c);
+      row.FrameTime    = sorted.reduce((a, c) => a + c, 0) / sorted.length;
+      row.MaxFrameTime = sorted[sorted.length - 1];
+      Object.entries(RESAMPLE_PERCENTILES).forEach(([col, p]) => {
+        row[col] = calculatePercentile(sorted, p); // from statsManager.js
+      });
+    }
+    return row;
+  });
+}
+
+/**
+ * Creates a resampled copy of every dataset selected in the Transform tab.
+ */
+function resampleSelectedDatasets() {
+  const select = document.getElementById('transformDatasetSelect');
+  const ids    = Array.from(select?.selectedOptions || [], o => o.value);
+  const bucket = Number(document.getElementById('resampleBucket')?.value);
+  if (!ids.length) {
+    window.notify?.('Select the datasets to resample.', 'warning');
+    return;
+  }
+  if (!(bucket > 0)) {
+    window.notify?.('Choose a bucket length.', 'error');
+    return;
+  }
+
+  let created = 0;
+  ids.forEach(id => {
+    const ds = getDatasetById(id); // from dataManager.js
+    if (!ds?.rows.length) return;
+    const rows    = resampleRows(ds.rows, bucket);
+    addDerivedDataset(ds, rows, `[${formatBucket(bucket)}]`, {
+      op: 'resample', bucket, sourceRows: ds.rows.length, buckets: rows.length,
+      percentileMethod: getPercentileMethod() // from statsManager.js
+    });
+    created++;
+  });
+
+  if (created) {
+    refreshDatasetLists(); // from dataManager.js
+    window.notify?.(`Created ${created} resampled dataset${created === 1 ? '' : 's'}.`, 'success');
+  }
+}
+
+window.getRowTimes = getRowTimes;
+window.trimRows = trimRows;
+window.describeTransform = describeTransform;
+window.addDerivedDataset = addDerivedDataset;
+window.updateTrimUI = updateTrimUI;
+window.applyTrimPreset = applyTrimPreset;
+window.trimSelectedDatasets = trimSelectedDatasets;
+window.mergeDatasets = mergeDatasets;
+window.mergeSelectedDatasets = mergeSelectedDatasets;
+window.resampleRows = resampleRows;
+window.resampleSelectedDatasets = resampleSelectedDatasets;